@@ -0,0 +1,409 @@
+const crypto = require("node:crypto");
+const { nowIso, fail, setTurnByCursor, dropFromTurn, countHumanPlayers } = require("./shared");
+
+const BINGO_BOT_USER_ID = "__bingo_bot__";
+const BINGO_BOT_USERNAME = "COM";
+
+function makeShuffledNumbers(n) {
+  const arr = Array.from({ length: n }, (_, i) => i + 1);
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(0, i + 1);
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+function generateBoard(size) {
+  const nums = makeShuffledNumbers(size * size);
+  const board = [];
+  for (let r = 0; r < size; r++) board.push(nums.slice(r * size, (r + 1) * size));
+  return board;
+}
+
+function countCompleteLines(board, calledSet) {
+  const size = board.length;
+  let lines = 0;
+
+  // rows
+  for (let r = 0; r < size; r++) {
+    let ok = true;
+    for (let c = 0; c < size; c++) {
+      if (!calledSet.has(board[r][c])) {
+        ok = false;
+        break;
+      }
+    }
+    if (ok) lines++;
+  }
+
+  // cols
+  for (let c = 0; c < size; c++) {
+    let ok = true;
+    for (let r = 0; r < size; r++) {
+      if (!calledSet.has(board[r][c])) {
+        ok = false;
+        break;
+      }
+    }
+    if (ok) lines++;
+  }
+
+  // diagonals
+  {
+    let ok = true;
+    for (let i = 0; i < size; i++) {
+      if (!calledSet.has(board[i][i])) {
+        ok = false;
+        break;
+      }
+    }
+    if (ok) lines++;
+  }
+  {
+    let ok = true;
+    for (let i = 0; i < size; i++) {
+      if (!calledSet.has(board[i][size - 1 - i])) {
+        ok = false;
+        break;
+      }
+    }
+    if (ok) lines++;
+  }
+
+  return lines;
+}
+
+function clampBingoSize(size) {
+  const n = Number(size);
+  if (!Number.isInteger(n)) return null;
+  if (n < 5 || n > 10) return null;
+  return n;
+}
+
+function clampTurnSeconds(seconds) {
+  const n = Number(seconds);
+  const allowed = new Set([3, 5, 7, 10, 15, 20]);
+  if (!Number.isInteger(n)) return null;
+  if (!allowed.has(n)) return null;
+  return n;
+}
+
+function clearTurnTimer(room) {
+  if (room.turnTimer) {
+    clearTimeout(room.turnTimer);
+    room.turnTimer = null;
+  }
+}
+
+function checkBingoStart(room, body) {
+  return clampTurnSeconds(body.drawTimeoutSeconds) ? null : fail(400, "invalid_draw_timeout_seconds");
+}
+
+function buildTurnOrder(room) {
+  // Keep insertion order (join order) from Map; players who forfeited sit the rest of the game out.
+  return Array.from(room.players.values(), (p) => (p.forfeited ? null : p.userId)).filter((id) => id != null);
+}
+
+function removeBingoBotIfPresent(room) {
+  if (!room.players.has(BINGO_BOT_USER_ID)) return false;
+  room.players.delete(BINGO_BOT_USER_ID);
+  room.connections.delete(BINGO_BOT_USER_ID);
+  room.turnOrder = room.turnOrder.filter((id) => id !== BINGO_BOT_USER_ID);
+  if (room.turnUserId === BINGO_BOT_USER_ID) {
+    room.turnUserId = null;
+    room.turnEndsAt = null;
+  }
+  return true;
+}
+
+function ensureBingoBot(room) {
+  if (!room.botEnabled) return false;
+  if (room.players.has(BINGO_BOT_USER_ID)) return false;
+  room.players.set(BINGO_BOT_USER_ID, {
+    userId: BINGO_BOT_USER_ID,
+    username: BINGO_BOT_USERNAME,
+    board: generateBoard(room.size),
+    joinedAt: nowIso(),
+    online: true,
+    isBot: true,
+  });
+  return true;
+}
+
+function syncBingoBotForHumans(room) {
+  if (!room.botEnabled) {
+    removeBingoBotIfPresent(room);
+    return;
+  }
+  const humanCount = countHumanPlayers(room);
+  if (humanCount <= 1) ensureBingoBot(room);
+  else removeBingoBotIfPresent(room);
+}
+
+function pickRandomRemainingNumber(room) {
+  const max = room.size * room.size;
+  const remaining = [];
+  for (let n = 1; n <= max; n++) {
+    if (!room.calledNumbers.has(n)) remaining.push(n);
+  }
+  if (remaining.length === 0) return null;
+  return remaining[crypto.randomInt(0, remaining.length)];
+}
+
+function evaluateWinners(room) {
+  const winners = [];
+  for (const p of room.players.values()) {
+    const lines = countCompleteLines(p.board, room.calledNumbers);
+    if (lines >= room.targetLines) winners.push({ userId: p.userId, username: p.username, lines });
+  }
+  return winners;
+}
+
+function setBingoTurnByCursor(room) {
+  setTurnByCursor(room);
+  if (!room.turnUserId) room.turnEndsAt = null;
+}
+
+function scheduleTurn(room, engine) {
+  clearTurnTimer(room);
+  if (room.status !== "playing") return;
+  if (!room.turnUserId) return;
+  const isBotTurn = room.turnUserId === BINGO_BOT_USER_ID;
+  // Human players must pick manually on their own turn.
+  if (!isBotTurn) {
+    room.turnEndsAt = null;
+    return;
+  }
+  const turnMs = 1200;
+  room.turnEndsAt = Date.now() + turnMs;
+  room.turnTimer = setTimeout(() => {
+    if (room.status !== "playing") return;
+    if (!room.turnUserId) return;
+    const actorUserId = room.turnUserId;
+    const selectedNumber = pickRandomRemainingNumber(room);
+    if (selectedNumber == null) return;
+    const result = drawNextNumber(room, { actorUserId, reason: "bot_pick", selectedNumber }, engine);
+    if (result.ok) engine.broadcastState(room);
+  }, turnMs);
+}
+
+// `dropFromTurn`, then (re)arm the bot's timer for whoever has the turn now; an ended game just loses it.
+function dropFromBingoTurn(room, wasTurn, engine) {
+  dropFromTurn(room, wasTurn, (r) => {
+    r.turnEndsAt = null;
+  });
+  scheduleTurn(room, engine);
+}
+
+// Callers broadcast the new state when this returns ok.
+function drawNextNumber(room, { actorUserId, reason, selectedNumber }, engine) {
+  if (room.status !== "playing") return { ok: false, error: "not_playing", number: null };
+
+  const max = room.size * room.size;
+  const remaining = [];
+  for (let n = 1; n <= max; n++) if (!room.calledNumbers.has(n)) remaining.push(n);
+
+  if (remaining.length === 0) {
+    room.status = "ended";
+    room.winners = [];
+    room.turnUserId = null;
+    room.turnEndsAt = null;
+    clearTurnTimer(room);
+    return { ok: true, number: null };
+  }
+
+  const number = Number(selectedNumber);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    return { ok: false, error: "invalid_number", number: null };
+  }
+  if (room.calledNumbers.has(number)) {
+    return { ok: false, error: "number_already_called", number: null };
+  }
+  room.calledNumbers.add(number);
+  room.lastNumber = number;
+  room.lastDrawByUserId = actorUserId ?? null;
+  {
+    const p = actorUserId ? room.players.get(actorUserId) : null;
+    room.lastDrawByUsername = p ? p.username : null;
+  }
+  room.lastDrawReason = reason;
+
+  const winners = evaluateWinners(room);
+  if (winners.length > 0) {
+    room.status = "ended";
+    room.winners = winners;
+    room.turnUserId = null;
+    room.turnEndsAt = null;
+    clearTurnTimer(room);
+    return { ok: true, number };
+  }
+
+  // Advance to next player for the next turn.
+  if (room.turnOrder.length > 0) {
+    room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
+    setBingoTurnByCursor(room);
+    scheduleTurn(room, engine);
+  } else {
+    room.turnUserId = null;
+    room.turnEndsAt = null;
+    clearTurnTimer(room);
+  }
+  return { ok: true, number };
+}
+
+module.exports = {
+  game: "bingo",
+  apiPath: "/api/rooms",
+  ssePath: "/sse/room/",
+  capacity: 8,
+  quickMatch: { players: 8, create: { size: 5, vsComputer: false }, start: { drawTimeoutSeconds: 10 } },
+  BINGO_BOT_USER_ID,
+  BINGO_BOT_USERNAME,
+
+  create(room, { body }) {
+    const size = clampBingoSize(body.size);
+    if (!size) return fail(400, "invalid_size");
+    room.size = size;
+    room.targetLines = 5;
+    room.drawTimeoutSeconds = 10;
+    room.botEnabled = body.vsComputer !== false;
+    room.calledNumbers = new Set();
+    room.lastNumber = null;
+    room.winners = [];
+    room.turnEndsAt = null;
+    room.turnTimer = null;
+    room.lastDrawByUserId = null;
+    room.lastDrawByUsername = null;
+    room.lastDrawReason = null;
+    return { ok: true };
+  },
+
+  createPlayer(room, session) {
+    return {
+      userId: session.userId,
+      username: session.username,
+      board: generateBoard(room.size),
+      joinedAt: nowIso(),
+      online: true,
+    };
+  },
+
+  join(room) {
+    if (room.botEnabled) removeBingoBotIfPresent(room);
+  },
+
+  leave(room, { wasTurn, engine }) {
+    syncBingoBotForHumans(room);
+    if (room.status !== "playing") return;
+    room.turnOrder = buildTurnOrder(room);
+    dropFromBingoTurn(room, wasTurn, engine);
+  },
+
+  skipTurn(room, { engine }) {
+    room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
+    setBingoTurnByCursor(room);
+    scheduleTurn(room, engine);
+  },
+
+  forfeit(room, { wasTurn, engine }) {
+    dropFromBingoTurn(room, wasTurn, engine);
+  },
+
+  checkStart: checkBingoStart,
+
+  start(room, { body, engine }) {
+    const invalid = checkBingoStart(room, body);
+    if (invalid) return invalid;
+    const timeout = clampTurnSeconds(body.drawTimeoutSeconds);
+    syncBingoBotForHumans(room);
+    if (countHumanPlayers(room) < 1) return fail(409, "no_players");
+    // A rematch deals everyone a fresh board.
+    if (room.status === "ended") for (const p of room.players.values()) p.board = generateBoard(room.size);
+    room.status = "playing";
+    room.drawTimeoutSeconds = timeout;
+    room.calledNumbers = new Set();
+    room.lastNumber = null;
+    room.winners = [];
+    room.lastDrawByUserId = null;
+    room.lastDrawByUsername = null;
+    room.lastDrawReason = null;
+    room.turnOrder = buildTurnOrder(room);
+    room.turnCursor = 0;
+    setBingoTurnByCursor(room);
+    scheduleTurn(room, engine);
+    return { ok: true };
+  },
+
+  actions: {
+    draw(room, { session, body, engine }) {
+      if (room.status !== "playing") return fail(409, "not_playing");
+      if (!room.players.has(session.userId)) return fail(403, "not_in_room");
+      if (room.turnUserId !== session.userId) return fail(403, "not_your_turn");
+      const result = drawNextNumber(
+        room,
+        { actorUserId: session.userId, reason: "manual_pick", selectedNumber: Number(body.number) },
+        engine
+      );
+      if (!result.ok) return fail(409, result.error || "draw_failed");
+      return { ok: true, number: result.number };
+    },
+  },
+
+  publicState(room) {
+    return {
+      code: room.code,
+      size: room.size,
+      targetLines: room.targetLines,
+      botEnabled: Boolean(room.botEnabled),
+      status: room.status,
+      hostUserId: room.hostUserId,
+      createdAt: room.createdAt,
+      players: Array.from(room.players.values()).map((p) => ({
+        userId: p.userId,
+        username: p.username,
+        online: Boolean(p.online),
+        joinedAt: p.joinedAt,
+        isBot: Boolean(p.isBot),
+        isGuest: Boolean(p.isGuest),
+      })),
+      calledNumbers: Array.from(room.calledNumbers),
+      lastNumber: room.lastNumber ?? null,
+      winners: room.winners,
+      drawTimeoutSeconds: room.drawTimeoutSeconds,
+      turnUserId: room.turnUserId ?? null,
+      turnEndsAt: room.turnEndsAt ?? null,
+      lastDrawByUserId: room.lastDrawByUserId ?? null,
+      lastDrawByUsername: room.lastDrawByUsername ?? null,
+      lastDrawReason: room.lastDrawReason ?? null,
+    };
+  },
+
+  privateState(room, userId) {
+    const p = room.players.get(userId);
+    return p ? { board: p.board } : {};
+  },
+
+  browserSettings(state) {
+    return { size: state.size, botEnabled: state.botEnabled };
+  },
+
+  matchResult(room) {
+    return {
+      settings: { size: room.size, targetLines: room.targetLines, drawTimeoutSeconds: room.drawTimeoutSeconds },
+      winnerUserIds: room.winners.map((w) => w.userId),
+      result: { winners: room.winners },
+      moves: Array.from(room.calledNumbers),
+    };
+  },
+
+  transientKeys: ["turnTimer"],
+
+  // Gives the bot a fresh turn delay; human turns have no timer to re-arm.
+  restore(room, engine) {
+    if (room.status === "playing") scheduleTurn(room, engine);
+  },
+
+  dispose(room) {
+    clearTurnTimer(room);
+  },
+};
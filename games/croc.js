@@ -0,0 +1,176 @@
+const crypto = require("node:crypto");
+const { nowIso, fail, setTurnByCursor, advanceTurn, dropFromTurn } = require("./shared");
+
+function checkCrocStart(room, body) {
+  const toothCountPerJaw = Number(body.toothCountPerJaw);
+  if (!Number.isInteger(toothCountPerJaw) || toothCountPerJaw < 8 || toothCountPerJaw > 20) {
+    return fail(400, "invalid_tooth_count_per_jaw");
+  }
+  return null;
+}
+
+module.exports = {
+  game: "croc",
+  apiPath: "/api/croc/rooms",
+  ssePath: "/sse/croc/",
+  capacity: null,
+  quickMatch: { players: 6, create: {}, start: { toothCountPerJaw: 20 } },
+
+  create(room) {
+    room.selectedTeeth = new Set();
+    room.toothCountPerJaw = 20;
+    room.trapTooth = null;
+    room.lastPickedTooth = null;
+    room.lastPickerUserId = null;
+    room.loserUserId = null;
+    room.loserUsername = null;
+    room.winnerUserId = null;
+    room.winnerUsername = null;
+    room.loserFirst = false;
+    return { ok: true };
+  },
+
+  createPlayer(room, session) {
+    return {
+      userId: session.userId,
+      username: session.username,
+      joinedAt: nowIso(),
+      online: true,
+      alive: true,
+    };
+  },
+
+  leave(room, { wasTurn }) {
+    dropFromTurn(room, wasTurn);
+  },
+
+  skipTurn(room) {
+    advanceTurn(room);
+  },
+
+  // The last player still in the turn order wins by default.
+  forfeit(room, { wasTurn }) {
+    if (room.turnOrder.length !== 1) {
+      dropFromTurn(room, wasTurn);
+      return;
+    }
+    const winner = room.players.get(room.turnOrder[0]);
+    room.status = "ended";
+    room.turnUserId = null;
+    room.winnerUserId = winner.userId;
+    room.winnerUsername = winner.username;
+  },
+
+  checkStart: checkCrocStart,
+
+  start(room, { body }) {
+    if (room.players.size < 2) return fail(409, "need_two_players");
+    const invalid = checkCrocStart(room, body);
+    if (invalid) return invalid;
+    const toothCountPerJaw = Number(body.toothCountPerJaw);
+    if (body.loserFirst !== undefined) room.loserFirst = Boolean(body.loserFirst);
+    const firstUserId = room.status === "ended" && room.loserFirst ? room.loserUserId : null;
+    room.status = "playing";
+    room.toothCountPerJaw = toothCountPerJaw;
+    room.selectedTeeth = new Set();
+    room.trapTooth = crypto.randomInt(1, toothCountPerJaw * 2 + 1);
+    room.loserUserId = null;
+    room.loserUsername = null;
+    room.winnerUserId = null;
+    room.winnerUsername = null;
+    for (const p of room.players.values()) p.alive = true;
+    room.turnOrder = Array.from(room.players.keys());
+    if (room.players.has(firstUserId)) {
+      room.turnOrder = [firstUserId, ...room.turnOrder.filter((id) => id !== firstUserId)];
+    }
+    room.turnCursor = 0;
+    setTurnByCursor(room);
+    room.lastPickedTooth = null;
+    room.lastPickerUserId = null;
+    return { ok: true };
+  },
+
+  actions: {
+    pick(room, { session, body }) {
+      if (room.status !== "playing") return fail(409, "not_playing");
+      if (room.turnUserId !== session.userId) return fail(403, "not_your_turn");
+      const tooth = Number(body.tooth);
+      const maxTooth = room.toothCountPerJaw * 2;
+      if (!Number.isInteger(tooth) || tooth < 1 || tooth > maxTooth) return fail(400, "invalid_tooth");
+      if (room.selectedTeeth.has(tooth)) return fail(409, "already_selected");
+
+      room.selectedTeeth.add(tooth);
+      room.lastPickedTooth = tooth;
+      room.lastPickerUserId = session.userId;
+      const picker = room.players.get(session.userId);
+      if (tooth === room.trapTooth) {
+        room.status = "ended";
+        room.turnUserId = null;
+        if (picker) picker.alive = false;
+        room.loserUserId = session.userId;
+        room.loserUsername = picker ? picker.username : null;
+        const winner = Array.from(room.players.values()).find((p) => p.userId !== session.userId);
+        room.winnerUserId = winner ? winner.userId : null;
+        room.winnerUsername = winner ? winner.username : null;
+        return { ok: true, trap: true };
+      }
+
+      if (room.turnOrder.length > 0) {
+        room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
+        setTurnByCursor(room);
+      } else {
+        room.turnUserId = null;
+      }
+      return { ok: true, trap: false };
+    },
+  },
+
+  publicState(room) {
+    return {
+      code: room.code,
+      status: room.status,
+      hostUserId: room.hostUserId,
+      createdAt: room.createdAt,
+      players: Array.from(room.players.values()).map((p) => ({
+        userId: p.userId,
+        username: p.username,
+        online: Boolean(p.online),
+        joinedAt: p.joinedAt,
+        alive: Boolean(p.alive),
+        isGuest: Boolean(p.isGuest),
+      })),
+      selectedTeeth: Array.from(room.selectedTeeth).sort((a, b) => a - b),
+      toothCountPerJaw: room.toothCountPerJaw,
+      loserFirst: Boolean(room.loserFirst),
+      turnUserId: room.turnUserId ?? null,
+      lastPickedTooth: room.lastPickedTooth ?? null,
+      lastPickerUserId: room.lastPickerUserId ?? null,
+      loserUserId: room.loserUserId ?? null,
+      loserUsername: room.loserUsername ?? null,
+      winnerUserId: room.winnerUserId ?? null,
+      winnerUsername: room.winnerUsername ?? null,
+    };
+  },
+
+  browserSettings(state) {
+    return { toothCountPerJaw: state.toothCountPerJaw };
+  },
+
+  // Everyone still in the game beats whoever bit the trap; a forfeit leaves one winner.
+  matchResult(room) {
+    const winnerUserIds =
+      room.loserUserId != null
+        ? Array.from(room.players.values())
+            .filter((p) => p.userId !== room.loserUserId && !p.forfeited)
+            .map((p) => p.userId)
+        : room.winnerUserId != null
+          ? [room.winnerUserId]
+          : [];
+    return {
+      settings: { toothCountPerJaw: room.toothCountPerJaw, loserFirst: Boolean(room.loserFirst) },
+      winnerUserIds,
+      result: { loserUserId: room.loserUserId ?? null, trapTooth: room.trapTooth },
+      moves: Array.from(room.selectedTeeth),
+    };
+  },
+};
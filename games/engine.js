@@ -0,0 +1,932 @@
+const crypto = require("node:crypto");
+const { nowIso, fail, countHumanPlayers } = require("./shared");
+const { diffState } = require("./state-patch");
+
+// Enough to cover a phone switching networks mid-game; older gaps fall back to a full state.
+const EVENT_LOG_LIMIT = 100;
+// A full `state` every so often lets a client that somehow drifted recover without asking.
+const SNAPSHOT_EVERY = 25;
+// Chat lines kept per room and replayed to a fresh subscriber.
+const CHAT_HISTORY_LIMIT = 50;
+const CHAT_MAX_LENGTH = 200;
+// Character keys match `public/assets/char-<key>.svg`; the list is mirrored in `public/room-reactions.js`.
+const REACTIONS = new Set(["bear", "bunny", "cat", "fox", "panda", "pig", "👍", "👏", "😂", "😮", "😢", "🔥"]);
+
+function pickRoomCode() {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I
+  let code = "";
+  for (let i = 0; i < 6; i++) code += alphabet[crypto.randomInt(0, alphabet.length)];
+  return code;
+}
+
+/**
+ * Shared room machinery for every multiplayer game.
+ *
+ * A game is a definition object registered once:
+ *   game, apiPath, ssePath, capacity      routing and seat limits
+ *   quickMatch                            `{ players, create, start }`: the largest quick-match group and
+ *                                         the bodies its room is created and started with
+ *   create(room, input)                   validate settings and fill game fields
+ *   createPlayer(room, session)           player record for a new seat
+ *   join?(room, player, input)            after a new player took a seat
+ *   leave(room, input)                    fix up turns after a player left
+ *   start(room, input)                    host pressed start (from "ended" too: a rematch, so deal anew)
+ *   checkStart?(room, body)               the start body's settings alone: a failure, or null when `start`
+ *                                         would accept them (checked when the host turns on auto-start)
+ *   actions[name](room, input)            in-game moves (`/pick`, `/move`, `/draw`)
+ *   publicState(room)                     what every subscriber sees
+ *   privateState?(room, userId)           extra fields only for that player
+ *   browserSettings(state)                settings shown in the room browser
+ *   matchResult?(room)                    once a game ended: `{ settings, winnerUserIds, result, moves? }` for
+ *                                         the match history (`onMatchEnd`)
+ *   dispose?(room)                        clear timers before the room is dropped
+ *   transientKeys?                        room fields left out of snapshots (timers)
+ *   restore?(room, engine)                re-arm timers after a snapshot was loaded
+ *   skipTurn?(room, input)                pass the (offline) turn holder's turn to the next player
+ *   forfeit?(room, input)                 `input.userId` was offline too long and is already out of
+ *                                         `turnOrder`; `input.wasTurn` says whether it was their turn
+ *
+ * Hooks return `{ ok: true, ...payload }` or `fail(status, error)`; `input` is
+ * `{ session, body, engine }` so timers can broadcast later on their own.
+ *
+ * Every room also has a chat (`chat` command, `chat` / `chatHistory` events) and reactions (`react`
+ * command, `reaction` event) that games never see.
+ *
+ * The host role moves on by itself: to the earliest-joined remaining player when the host leaves, and to
+ * the earliest-joined online player once the host has been offline for `hostGraceMs`. The host can also
+ * hand it over with the `transfer-host` command (`{ userId }`), and remove a player or spectator with `kick`
+ * or `ban` (`{ userId }`); banned users cannot join or watch that room again.
+ *
+ * Players who go offline during a game are listed in `room.away`. Once the room's `graceSeconds` have
+ * passed their turns are skipped, and after `forfeitSeconds` they forfeit; both deadlines are in the public
+ * state as `away`. Games without `skipTurn` / `forfeit` hooks wait for them instead.
+ *
+ * Before the first game players mark themselves ready (`ready` `{ ready }`); the host can only `start` once
+ * every other online player is ready (pressing start is the host's own ready). With `auto-start`
+ * (`{ enabled, settings }`) the room starts by itself, with those start settings, as soon as every online
+ * player including the host is ready.
+ *
+ * When a game has ended players vote on a rematch (`rematch` `{ accept }`). The host's next `start` keeps
+ * the players who accepted and sends everyone else out of the room (`kicked`, reason "rematch_declined").
+ *
+ * Spectators (`spectate` command) sit in `room.spectators`, outside `room.players`, so no game hook ever
+ * sees them. They receive the public state only and may use SPECTATOR_COMMANDS; the host can turn
+ * spectating off with the `spectators` command (`{ allow }`), which sends current spectators away.
+ */
+const SPECTATOR_COMMANDS = new Set(["sync", "join", "leave", "chat"]);
+// Connection bookkeeping that only means something inside the running process.
+const ENGINE_TRANSIENT_KEYS = new Set([
+  "subscribers",
+  "connections",
+  "eventLog",
+  "hostTimer",
+  "hostAwaySince",
+  "away",
+  "awayTimer",
+]);
+// Bounds for a room's own `graceSeconds` / `forfeitSeconds` (create body).
+const AWAY_SECONDS_MIN = 10;
+const AWAY_SECONDS_MAX = 1800;
+
+// JSON has no Map/Set; tag them so a snapshot round-trips players and calledNumbers.
+function snapshotReplacer(key, value) {
+  if (value instanceof Map) return { $map: Array.from(value.entries()) };
+  if (value instanceof Set) return { $set: Array.from(value) };
+  return value;
+}
+
+function snapshotReviver(key, value) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    if (Array.isArray(value.$map)) return new Map(value.$map);
+    if (Array.isArray(value.$set)) return new Set(value.$set);
+  }
+  return value;
+}
+
+function createRoomEngine({
+  onChange = () => {},
+  onMatchEnd = () => {},
+  hostGraceMs = 60000,
+  graceSeconds = 30,
+  forfeitSeconds = 120,
+} = {}) {
+  const registry = new Map(); // game -> { def, rooms: Map(code -> room) }
+
+  function entryOf(room) {
+    return registry.get(room.game);
+  }
+
+  function seatPlayer(def, room, session) {
+    const player = def.createPlayer(room, session);
+    if (session.isGuest) player.isGuest = true;
+    // Seated by POST join or quick match: offline until a stream opens, so the away timer covers a no-show.
+    player.online = room.connections.has(session.userId);
+    return player;
+  }
+
+  function join(room, def, input) {
+    const { session } = input;
+    const existing = room.players.get(session.userId);
+    if (existing) {
+      existing.online = room.connections.has(session.userId);
+    } else {
+      if (room.bannedUserIds.has(session.userId)) return fail(403, "banned_from_room");
+      if (room.status !== "lobby") return fail(409, "room_not_joinable");
+      if (def.capacity != null && countHumanPlayers(room) >= def.capacity) return fail(409, "room_full");
+      // A spectator taking a seat keeps their open stream; it now belongs to a player.
+      room.spectators.delete(session.userId);
+      const player = seatPlayer(def, room, session);
+      room.players.set(session.userId, player);
+      if (def.join) def.join(room, player, input);
+    }
+    return { ok: true };
+  }
+
+  function leave(room, def, input) {
+    const { userId } = input.session;
+    if (room.spectators.delete(userId)) return { ok: true };
+    room.rematchVotes.delete(userId);
+    room.readyUserIds.delete(userId);
+    const wasTurn = room.turnUserId === userId;
+    room.players.delete(userId);
+    room.connections.delete(userId);
+    room.turnOrder = room.turnOrder.filter((id) => id !== userId);
+    def.leave(room, { ...input, userId, wasTurn });
+
+    if (room.hostUserId === userId) {
+      const nextHost = nextHostOf(room) || Array.from(room.players.values()).find((p) => !p.isBot);
+      room.hostUserId = nextHost ? nextHost.userId : null;
+      clearHostTimer(room);
+      room.hostAwaySince = null;
+      checkHost(room);
+    }
+    return { ok: true };
+  }
+
+  // Earliest-joined online player other than the host; `room.players` keeps join order.
+  function nextHostOf(room) {
+    return Array.from(room.players.values()).find((p) => !p.isBot && p.online && p.userId !== room.hostUserId) || null;
+  }
+
+  function clearHostTimer(room) {
+    if (room.hostTimer) clearTimeout(room.hostTimer);
+    room.hostTimer = null;
+  }
+
+  // Called on every presence change. Starts the grace period when the host goes offline and hands the role
+  // over once it has run out and someone online can take it. Returns true when the host changed.
+  function checkHost(room) {
+    const host = room.players.get(room.hostUserId);
+    if (!host || host.online) {
+      clearHostTimer(room);
+      room.hostAwaySince = null;
+      return false;
+    }
+    if (room.hostAwaySince == null) room.hostAwaySince = Date.now();
+    const waitMs = room.hostAwaySince + hostGraceMs - Date.now();
+    if (waitMs > 0) {
+      if (!room.hostTimer) {
+        room.hostTimer = setTimeout(() => {
+          room.hostTimer = null;
+          if (checkHost(room)) engine.broadcastState(room);
+        }, waitMs);
+      }
+      return false;
+    }
+    clearHostTimer(room);
+    const nextHost = nextHostOf(room);
+    if (!nextHost) return false;
+    room.hostUserId = nextHost.userId;
+    room.hostAwaySince = null;
+    return true;
+  }
+
+  // `{ graceSeconds, forfeitSeconds }` for a new room: the engine defaults unless the create body picks its
+  // own. Null when it asks for something out of range.
+  function awaySettings(body) {
+    const settings = { graceSeconds, forfeitSeconds };
+    for (const key of Object.keys(settings)) {
+      if (body[key] === undefined) continue;
+      const n = body[key];
+      if (!Number.isInteger(n) || n < AWAY_SECONDS_MIN || n > AWAY_SECONDS_MAX) return null;
+      settings[key] = n;
+    }
+    return settings.forfeitSeconds >= settings.graceSeconds ? settings : null;
+  }
+
+  function clearAwayTimer(room) {
+    if (room.awayTimer) clearTimeout(room.awayTimer);
+    room.awayTimer = null;
+  }
+
+  // Runs before every state broadcast: notes who in the turn order is offline, forfeits and skips whoever
+  // is past their deadline, then sleeps until the next deadline.
+  function checkAway(room) {
+    const { def } = entryOf(room);
+    clearAwayTimer(room);
+    if (room.status !== "playing" || !def.skipTurn || !def.forfeit) {
+      room.away.clear();
+      return;
+    }
+    const now = Date.now();
+    for (const userId of room.away.keys()) {
+      const p = room.players.get(userId);
+      if (!p || p.online || !room.turnOrder.includes(userId)) room.away.delete(userId);
+    }
+    for (const userId of room.turnOrder) {
+      const p = room.players.get(userId);
+      if (p && !p.isBot && !p.online && !room.away.has(userId)) room.away.set(userId, now);
+    }
+
+    for (const [userId, since] of room.away) {
+      if (room.status !== "playing") break;
+      if (now < since + room.forfeitSeconds * 1000) continue;
+      const wasTurn = room.turnUserId === userId;
+      room.away.delete(userId);
+      room.turnOrder = room.turnOrder.filter((id) => id !== userId);
+      room.players.get(userId).forfeited = true;
+      def.forfeit(room, { engine, userId, wasTurn });
+    }
+    for (let i = 0; i < room.turnOrder.length && room.status === "playing"; i++) {
+      const userId = room.turnUserId;
+      const since = room.away.get(userId);
+      if (since == null || now < since + room.graceSeconds * 1000) break;
+      def.skipTurn(room, { engine, userId });
+      if (room.turnUserId === userId) break;
+    }
+    if (room.status !== "playing") {
+      room.away.clear();
+      return;
+    }
+
+    let next = Infinity;
+    for (const [userId, since] of room.away) {
+      next = Math.min(next, since + room.forfeitSeconds * 1000);
+      const skipAt = since + room.graceSeconds * 1000;
+      if (userId === room.turnUserId && skipAt > now) next = Math.min(next, skipAt);
+    }
+    if (next !== Infinity) room.awayTimer = setTimeout(() => engine.broadcastState(room), next - now);
+  }
+
+  function voteRematch(room, session, body) {
+    if (room.status !== "ended") return fail(409, "not_ended");
+    if (!room.players.has(session.userId)) return fail(403, "not_in_room");
+    room.rematchVotes.set(session.userId, Boolean(body.accept));
+    return { ok: true };
+  }
+
+  // The host starting again after a game counts as accepting; whoever did not accept leaves.
+  function startRematch(room, def, input) {
+    room.rematchVotes.set(input.session.userId, true);
+    for (const p of Array.from(room.players.values())) {
+      if (p.isBot || room.rematchVotes.get(p.userId) === true) continue;
+      ejectSubscribers(room, p.userId, "rematch_declined");
+      leave(room, def, { ...input, session: { userId: p.userId, username: p.username } });
+    }
+    room.rematchVotes.clear();
+    const result = def.start(room, input);
+    // Too few left to play: the room stays "ended" with the last round's fields intact.
+    if (!result.ok) engine.broadcastState(room);
+    return result;
+  }
+
+  function setReady(room, session, body) {
+    if (room.status !== "lobby") return fail(409, "not_in_lobby");
+    if (!room.players.has(session.userId)) return fail(403, "not_in_room");
+    if (body.ready) room.readyUserIds.add(session.userId);
+    else room.readyUserIds.delete(session.userId);
+    return { ok: true };
+  }
+
+  function setAutoStart(room, def, session, body) {
+    if (room.hostUserId !== session.userId) return fail(403, "host_only");
+    const settings = body.settings && typeof body.settings === "object" ? body.settings : {};
+    if (body.enabled && def.checkStart) {
+      const invalid = def.checkStart(room, settings);
+      if (invalid) return invalid;
+    }
+    room.autoStart = body.enabled ? { ...settings } : null;
+    room.autoStartError = null;
+    return { ok: true };
+  }
+
+  function everyoneReady(room, exceptUserId = null) {
+    return Array.from(room.players.values()).every(
+      (p) => p.isBot || !p.online || p.userId === exceptUserId || room.readyUserIds.has(p.userId)
+    );
+  }
+
+  function startGame(room, def, input) {
+    for (const p of room.players.values()) delete p.forfeited;
+    const result = room.status === "ended" ? startRematch(room, def, input) : def.start(room, input);
+    if (result.ok) {
+      room.round += 1;
+      room.roundStartedAt = nowIso();
+      room.roundPlayers = Array.from(room.players.values(), (p) => ({
+        userId: p.userId,
+        username: p.username,
+        ...(p.isBot ? { isBot: true } : {}),
+        ...(p.isGuest ? { isGuest: true } : {}),
+      }));
+      room.readyUserIds.clear();
+    }
+    return result;
+  }
+
+  // Every game broadcasts right after it ends, so broadcastState() is where a finished round is written down.
+  function recordMatch(room) {
+    if (room.status !== "ended" || room.recordedRound === room.round) return;
+    room.recordedRound = room.round;
+    const { def } = entryOf(room);
+    if (!def.matchResult) return;
+    const { settings, winnerUserIds, result, moves } = def.matchResult(room);
+    const endedAt = nowIso();
+    onMatchEnd({
+      game: room.game,
+      code: room.code,
+      round: room.round,
+      startedAt: room.roundStartedAt,
+      endedAt,
+      durationMs: room.roundStartedAt ? Date.parse(endedAt) - Date.parse(room.roundStartedAt) : null,
+      settings,
+      // Everyone who started the round, including those who left before the end.
+      participants: room.roundPlayers.map((p) => {
+        const now = room.players.get(p.userId);
+        if (!now) return { ...p, left: true };
+        return now.forfeited ? { ...p, forfeited: true } : p;
+      }),
+      winnerUserIds,
+      result,
+      ...(moves ? { moves } : {}),
+    });
+  }
+
+  // A start that fails here (too few players) just waits for the next change.
+  function maybeAutoStart(room, def) {
+    const host = room.players.get(room.hostUserId);
+    if (!room.autoStart || room.status !== "lobby" || !host || !host.online || !everyoneReady(room)) return;
+    const session = { userId: host.userId, username: host.username };
+    const result = startGame(room, def, { session, body: { ...room.autoStart }, engine });
+    // Shown to the room (`autoStartError`) until the next try or until the host changes the settings.
+    room.autoStartError = result.ok ? null : result.error;
+    if (!result.ok) {
+      // eslint-disable-next-line no-console
+      console.warn(`auto-start ${room.game} ${room.code} failed: ${result.error}`);
+    }
+  }
+
+  function transferHost(room, session, body) {
+    if (room.hostUserId !== session.userId) return fail(403, "host_only");
+    const target = room.players.get(body.userId);
+    if (!target || target.isBot) return fail(404, "player_not_found");
+    if (target.userId === session.userId) return fail(400, "already_host");
+    room.hostUserId = target.userId;
+    clearHostTimer(room);
+    room.hostAwaySince = null;
+    return { ok: true };
+  }
+
+  function dropRoom(room) {
+    const entry = entryOf(room);
+    if (entry.def.dispose) entry.def.dispose(room);
+    clearHostTimer(room);
+    clearAwayTimer(room);
+    for (const sub of room.subscribers) {
+      try {
+        sub.close();
+      } catch {
+        // ignore
+      }
+    }
+    room.subscribers.clear();
+    entry.rooms.delete(room.code);
+    onChange(room);
+  }
+
+  function spectate(room, session) {
+    if (room.players.has(session.userId)) return fail(409, "already_in_room");
+    if (room.bannedUserIds.has(session.userId)) return fail(403, "banned_from_room");
+    if (!room.allowSpectators) return fail(403, "spectators_disabled");
+    if (!room.spectators.has(session.userId)) {
+      room.spectators.set(session.userId, {
+        userId: session.userId,
+        username: session.username,
+        isGuest: Boolean(session.isGuest),
+        online: room.connections.has(session.userId),
+      });
+    }
+    return { ok: true };
+  }
+
+  // Host removes someone from the room; `ban` also keeps them from joining or watching it again.
+  function removeByHost(room, session, body, ban) {
+    if (room.hostUserId !== session.userId) return fail(403, "host_only");
+    if (body.userId === session.userId) return fail(400, "cannot_kick_self");
+    const target = room.players.get(body.userId) || room.spectators.get(body.userId);
+    if (!target || target.isBot) return fail(404, "player_not_found");
+    if (ban) room.bannedUserIds.add(target.userId);
+    return engine.kickPlayer(room, target.userId, ban ? "banned_by_host" : "kicked_by_host");
+  }
+
+  // Sends `kicked` to one user's streams and ends them. Detached first: callers broadcast right after,
+  // and these transports are already ending.
+  function ejectSubscribers(room, userId, reason) {
+    for (const sub of Array.from(room.subscribers)) {
+      if (sub.userId !== userId) continue;
+      room.subscribers.delete(sub);
+      try {
+        sub.send("kicked", { reason });
+        sub.close();
+      } catch {
+        // ignore
+      }
+    }
+    room.connections.delete(userId);
+  }
+
+  function postChat(room, session, body) {
+    const player = room.players.get(session.userId) || room.spectators.get(session.userId);
+    if (!player) return fail(403, "not_in_room");
+    // Control characters (newlines included) become spaces; chat is one line per message.
+    const text = typeof body.text === "string" ? body.text.replace(/\p{Cc}+/gu, " ").trim() : "";
+    if (!text) return fail(400, "chat_empty");
+    if (Array.from(text).length > CHAT_MAX_LENGTH) return fail(400, "chat_too_long");
+
+    room.chatSeq += 1;
+    const message = { id: room.chatSeq, userId: session.userId, username: player.username, text, at: nowIso() };
+    if (room.spectators.has(session.userId)) message.spectator = true;
+    room.chatLog.push(message);
+    if (room.chatLog.length > CHAT_HISTORY_LIMIT) room.chatLog.shift();
+    engine.broadcast(room, "chat", message);
+    return { ok: true, message };
+  }
+
+  // Reactions are fire-and-forget: no sequence number, not logged, not replayed, not part of any state.
+  function react(room, session, body) {
+    if (!room.players.has(session.userId)) return fail(403, "not_in_room");
+    const reaction = typeof body.reaction === "string" ? body.reaction : "";
+    if (!REACTIONS.has(reaction)) return fail(400, "invalid_reaction");
+    engine.emit(room, "reaction", { userId: session.userId, reaction });
+    return { ok: true };
+  }
+
+  const engine = {
+    register(def) {
+      if (registry.has(def.game)) throw new Error(`duplicate game: ${def.game}`);
+      registry.set(def.game, { def, rooms: new Map() });
+    },
+
+    definitions() {
+      return Array.from(registry.values(), (entry) => entry.def);
+    },
+
+    definition(game) {
+      const entry = registry.get(game);
+      return entry ? entry.def : null;
+    },
+
+    getRoom(game, code) {
+      const entry = registry.get(game);
+      return entry ? entry.rooms.get(code) || null : null;
+    },
+
+    rooms(game) {
+      const entry = registry.get(game);
+      return entry ? Array.from(entry.rooms.values()) : [];
+    },
+
+    allRooms() {
+      const out = [];
+      for (const entry of registry.values()) out.push(...entry.rooms.values());
+      return out;
+    },
+
+    // The game's public state plus who is watching; offline spectators are left out.
+    publicState(room) {
+      const spectators = Array.from(room.spectators.values())
+        .filter((s) => s.online)
+        .map((s) => ({ userId: s.userId, username: s.username, isGuest: s.isGuest }));
+      const away = Array.from(room.away, ([userId, since]) => ({
+        userId,
+        skipTurnAt: since + room.graceSeconds * 1000,
+        forfeitAt: since + room.forfeitSeconds * 1000,
+      }));
+      return {
+        ...entryOf(room).def.publicState(room),
+        allowSpectators: room.allowSpectators,
+        spectators,
+        round: room.round,
+        rematchVotes: Array.from(room.rematchVotes, ([userId, accept]) => ({ userId, accept })),
+        readyUserIds: Array.from(room.readyUserIds),
+        autoStart: Boolean(room.autoStart),
+        autoStartError: room.autoStartError,
+        forfeitedUserIds: Array.from(room.players.values(), (p) => (p.forfeited ? p.userId : null)).filter(Boolean),
+        graceSeconds: room.graceSeconds,
+        forfeitSeconds: room.forfeitSeconds,
+        away,
+      };
+    },
+
+    privateState(room, userId) {
+      const { def } = entryOf(room);
+      return def.privateState ? def.privateState(room, userId) : {};
+    },
+
+    // Every broadcast gets the room's next sequence number so reconnecting clients can resume.
+    broadcast(room, event, data) {
+      room.eventSeq += 1;
+      const entry = { id: room.eventSeq, event, data: structuredClone(data) };
+      room.eventLog.push(entry);
+      if (room.eventLog.length > EVENT_LOG_LIMIT) room.eventLog.shift();
+
+      for (const sub of room.subscribers) {
+        try {
+          sub.send(event, data, entry.id);
+        } catch {
+          // ignore broken pipes
+        }
+      }
+      onChange(room);
+    },
+
+    // Like broadcast() for events that mean nothing later: no id, never replayed on resume.
+    emit(room, event, data) {
+      for (const sub of room.subscribers) {
+        try {
+          sub.send(event, data, null);
+        } catch {
+          // ignore broken pipes
+        }
+      }
+    },
+
+    // Last broadcast public state plus its version; what a new subscriber starts from.
+    snapshot(room) {
+      if (!room.publicSnapshot) room.publicSnapshot = structuredClone(engine.publicState(room));
+      return { ...room.publicSnapshot, version: room.stateVersion };
+    },
+
+    // Sends `patch` `{ version, ops }` against the previous version, or a full `state`
+    // `{ ...publicState, version }` on the first broadcast, every SNAPSHOT_EVERY versions,
+    // and whenever the patch would not be smaller than the state itself.
+    broadcastState(room) {
+      checkAway(room);
+      recordMatch(room);
+      const prev = room.publicSnapshot;
+      const next = structuredClone(engine.publicState(room));
+      const ops = prev ? diffState(prev, next) : null;
+      if (ops && ops.length === 0) return;
+
+      room.publicSnapshot = next;
+      room.stateVersion += 1;
+      const version = room.stateVersion;
+      const full =
+        !ops || version % SNAPSHOT_EVERY === 0 || JSON.stringify(ops).length >= JSON.stringify(next).length;
+      if (full) engine.broadcast(room, "state", { ...next, version });
+      else engine.broadcast(room, "patch", { version, ops });
+    },
+
+    createRoom(game, session, body) {
+      const entry = registry.get(game);
+      if (!entry) return fail(404, "game_not_found");
+      let code = pickRoomCode();
+      for (let i = 0; i < 10 && entry.rooms.has(code); i++) code = pickRoomCode();
+      if (entry.rooms.has(code)) return fail(500, "room_code_collision");
+      const away = awaySettings(body || {});
+      if (!away) return fail(400, "invalid_away_seconds");
+
+      const room = {
+        game,
+        code,
+        status: "lobby",
+        hostUserId: session.userId,
+        createdAt: nowIso(),
+        players: new Map(),
+        turnOrder: [],
+        turnCursor: 0,
+        turnUserId: null,
+        subscribers: new Set(),
+        connections: new Map(), // userId -> count
+        eventSeq: 0,
+        eventLog: [], // { id, event, data }, oldest first
+        stateVersion: 0,
+        publicSnapshot: null,
+        chatLog: [], // { id, userId, username, text, at, spectator? }, oldest first
+        chatSeq: 0,
+        spectators: new Map(), // userId -> { userId, username, isGuest, online }
+        allowSpectators: true,
+        bannedUserIds: new Set(), // kept out by the host's `ban`
+        readyUserIds: new Set(), // marked ready in the lobby
+        autoStart: null, // start settings once the host turned on auto-start
+        autoStartError: null, // why the last auto-start did not go through
+        passwordHash: null, // set by the server for private rooms
+        round: 0, // games started in this room
+        roundStartedAt: null,
+        roundPlayers: [], // { userId, username, isBot?, isGuest? } as the current round started
+        recordedRound: 0, // last round written to the match history
+        rematchVotes: new Map(), // userId -> accepted, while the room is "ended"
+        hostTimer: null,
+        hostAwaySince: null, // ms timestamp the host went offline
+        ...away,
+        away: new Map(), // userId -> ms timestamp they went offline mid-game
+        awayTimer: null,
+      };
+      const result = entry.def.create(room, { session, body: body || {}, engine });
+      if (!result.ok) return result;
+      room.players.set(session.userId, seatPlayer(entry.def, room, session));
+      entry.rooms.set(code, room);
+      onChange(room);
+      return { ok: true, code };
+    },
+
+    runCommand(room, command, session, body) {
+      const { def } = entryOf(room);
+      const input = { session, body: body || {}, engine };
+      let result;
+      const spectating = room.spectators.has(session.userId);
+      if (spectating && !SPECTATOR_COMMANDS.has(command)) return fail(403, "spectators_read_only");
+      if (command === "sync") {
+        // Read-only resync for a client that missed a patch version.
+        if (!room.players.has(session.userId) && !spectating) return fail(403, "not_in_room");
+        return { ok: true, room: engine.snapshot(room) };
+      }
+      if (command === "chat") return postChat(room, session, body || {});
+      if (command === "react") return react(room, session, body || {});
+      if (command === "join") {
+        result = join(room, def, input);
+        if (result.ok) {
+          result = { ...result, room: engine.publicState(room), ...engine.privateState(room, session.userId) };
+        }
+      } else if (command === "spectate") {
+        result = spectate(room, session);
+        if (result.ok) result = { ...result, room: engine.publicState(room) };
+      } else if (command === "spectators") {
+        if (room.hostUserId !== session.userId) return fail(403, "host_only");
+        room.allowSpectators = Boolean(input.body.allow);
+        if (!room.allowSpectators) {
+          for (const userId of room.spectators.keys()) ejectSubscribers(room, userId, "spectators_disabled");
+          room.spectators.clear();
+        }
+        result = { ok: true };
+      } else if (command === "kick" || command === "ban") {
+        // kickPlayer() runs its own `leave`, which broadcasts and prunes.
+        return removeByHost(room, session, input.body, command === "ban");
+      } else if (command === "transfer-host") {
+        result = transferHost(room, session, input.body);
+      } else if (command === "leave") {
+        result = leave(room, def, input);
+      } else if (command === "start") {
+        if (room.hostUserId !== session.userId) return fail(403, "host_only");
+        // After a game the rematch vote is the ready check.
+        if (room.status === "lobby" && !everyoneReady(room, session.userId)) return fail(409, "players_not_ready");
+        result = startGame(room, def, input);
+      } else if (command === "ready") {
+        result = setReady(room, session, input.body);
+      } else if (command === "auto-start") {
+        result = setAutoStart(room, def, session, input.body);
+      } else if (command === "rematch") {
+        result = voteRematch(room, session, input.body);
+      } else if (def.actions && Object.hasOwn(def.actions, command)) {
+        result = def.actions[command](room, input);
+      } else {
+        return fail(404, "api_not_found");
+      }
+
+      if (result.ok && (command === "ready" || command === "auto-start" || command === "leave")) {
+        maybeAutoStart(room, def);
+      }
+      if (result.ok) engine.broadcastState(room);
+      if (command === "leave") engine.pruneIfEmpty(room);
+      return result;
+    },
+
+    canSubscribe(room, session) {
+      if (!room.players.has(session.userId) && !room.spectators.has(session.userId)) return fail(403, "not_in_room");
+      return { ok: true };
+    },
+
+    // Events after `lastEventId`, or null when the log no longer reaches back that far.
+    eventsSince(room, lastEventId) {
+      if (!Number.isInteger(lastEventId) || lastEventId < 0 || lastEventId > room.eventSeq) return null;
+      const oldest = room.eventLog.length > 0 ? room.eventLog[0].id : room.eventSeq + 1;
+      if (lastEventId < oldest - 1) return null;
+      return room.eventLog.filter((e) => e.id > lastEventId);
+    },
+
+    // `sub` is transport-agnostic: `{ userId, session, send(event, data, id), close() }`.
+    // Returns the function to call once the transport goes away.
+    subscribe(room, sub, { lastEventId = null } = {}) {
+      room.subscribers.add(sub);
+      room.connections.set(sub.userId, (room.connections.get(sub.userId) || 0) + 1);
+      const member = room.players.get(sub.userId) || room.spectators.get(sub.userId);
+      if (member) member.online = true;
+      checkHost(room);
+
+      // Replay what a resuming client missed, otherwise a snapshot as of the latest event plus the
+      // recent chat. Then announce the presence change.
+      const missed = engine.eventsSince(room, lastEventId);
+      if (missed) {
+        for (const e of missed) sub.send(e.event, e.data, e.id);
+      } else {
+        sub.send("state", engine.snapshot(room), room.eventSeq);
+        sub.send("chatHistory", { messages: room.chatLog }, null);
+      }
+      engine.broadcastState(room);
+
+      return () => {
+        room.subscribers.delete(sub);
+        const prev = room.connections.get(sub.userId) || 0;
+        const next = Math.max(0, prev - 1);
+        if (next === 0) room.connections.delete(sub.userId);
+        else room.connections.set(sub.userId, next);
+
+        // If no more active connections for that user, mark offline.
+        if (!room.connections.has(sub.userId)) {
+          const p = room.players.get(sub.userId) || room.spectators.get(sub.userId);
+          if (p) p.online = false;
+          checkHost(room);
+          engine.broadcastState(room);
+        }
+      };
+    },
+
+    // Account renamed: every seat that user holds, their chat lines, the current round's roster and results,
+    // and game fields in the `<something>UserId` / `<something>Username` pairs show the new name.
+    renameUser(userId, username) {
+      const rename = (x) => (x && x.userId === userId ? { ...x, username } : x);
+      const mentions = (list) => Array.isArray(list) && list.some((x) => x && x.userId === userId);
+      for (const room of engine.allRooms()) {
+        const player = room.players.get(userId) || room.spectators.get(userId);
+        if (!player && !mentions(room.chatLog) && !mentions(room.roundPlayers) && !mentions(room.winners)) continue;
+        if (player) player.username = username;
+        room.chatLog = room.chatLog.map(rename);
+        room.roundPlayers = room.roundPlayers.map(rename);
+        if (Array.isArray(room.winners)) room.winners = room.winners.map(rename);
+        for (const key of Object.keys(room)) {
+          const nameKey = `${key.slice(0, -"UserId".length)}Username`;
+          if (key.endsWith("UserId") && room[key] === userId && nameKey in room) room[nameKey] = username;
+        }
+        engine.broadcastState(room);
+      }
+    },
+
+    // A guest became a registered user: move their seats, turns and results to the new id.
+    // Game fields follow the `<something>UserId` naming, plus bingo's `winners` list.
+    rekeyUser(fromUserId, toUserId, username) {
+      const swap = (id) => (id === fromUserId ? toUserId : id);
+      for (const room of engine.allRooms()) {
+        if (room.bannedUserIds.delete(fromUserId)) room.bannedUserIds.add(toUserId);
+        const watching = room.spectators.get(fromUserId);
+        if (watching) {
+          room.spectators.delete(fromUserId);
+          room.spectators.set(toUserId, { ...watching, userId: toUserId, username, isGuest: false });
+        }
+        if (!room.players.has(fromUserId) && !watching) continue;
+        room.players = new Map(
+          Array.from(room.players, ([id, p]) => {
+            if (id !== fromUserId) return [id, p];
+            const next = { ...p, userId: toUserId, username };
+            delete next.isGuest;
+            return [toUserId, next];
+          })
+        );
+        room.turnOrder = room.turnOrder.map(swap);
+        if (room.rematchVotes.has(fromUserId)) {
+          room.rematchVotes.set(toUserId, room.rematchVotes.get(fromUserId));
+          room.rematchVotes.delete(fromUserId);
+        }
+        if (room.readyUserIds.delete(fromUserId)) room.readyUserIds.add(toUserId);
+        if (room.away.has(fromUserId)) {
+          room.away.set(toUserId, room.away.get(fromUserId));
+          room.away.delete(fromUserId);
+        }
+        room.roundPlayers = room.roundPlayers.map((p) =>
+          p.userId === fromUserId ? { userId: toUserId, username } : p
+        );
+        for (const key of Object.keys(room)) if (key.endsWith("UserId")) room[key] = swap(room[key]);
+        room.chatLog = room.chatLog.map((m) => (m.userId === fromUserId ? { ...m, userId: toUserId } : m));
+        if (Array.isArray(room.winners)) {
+          room.winners = room.winners.map((w) => (w.userId === fromUserId ? { ...w, userId: toUserId, username } : w));
+        }
+        if (room.connections.has(fromUserId)) {
+          room.connections.set(toUserId, room.connections.get(fromUserId));
+          room.connections.delete(fromUserId);
+        }
+        for (const sub of room.subscribers) if (sub.userId === fromUserId) sub.userId = toUserId;
+        engine.broadcastState(room);
+      }
+    },
+
+    // Account deleted: leave every room as if the user pressed "leave" everywhere, and end their open streams,
+    // which would otherwise keep sending commands as the deleted account.
+    removeUser(userId) {
+      for (const room of engine.allRooms()) {
+        if (room.players.has(userId) || room.spectators.has(userId)) engine.kickPlayer(room, userId, "account_deleted");
+      }
+    },
+
+    // All rooms as a JSON string, minus connections and each game's `transientKeys`.
+    serializeRooms() {
+      const out = [];
+      for (const { def, rooms } of registry.values()) {
+        const skip = new Set([...ENGINE_TRANSIENT_KEYS, ...(def.transientKeys || [])]);
+        for (const room of rooms.values()) {
+          const copy = {};
+          for (const [key, value] of Object.entries(room)) if (!skip.has(key)) copy[key] = value;
+          out.push(copy);
+        }
+      }
+      return JSON.stringify({ savedAt: nowIso(), rooms: out }, snapshotReplacer);
+    },
+
+    // Inverse of serializeRooms(). Everyone starts offline until their stream reconnects.
+    restoreRooms(text) {
+      const parsed = JSON.parse(text, snapshotReviver);
+      let restored = 0;
+      for (const saved of parsed.rooms || []) {
+        const entry = registry.get(saved.game);
+        if (!entry || entry.rooms.has(saved.code)) continue;
+        // Snapshots from older versions lack the chat, spectator, ban, password, ready and rematch fields.
+        const room = {
+          chatLog: [],
+          chatSeq: 0,
+          spectators: new Map(),
+          allowSpectators: true,
+          bannedUserIds: new Set(),
+          readyUserIds: new Set(),
+          autoStart: null,
+          autoStartError: null,
+          passwordHash: null,
+          round: 0,
+          roundStartedAt: null,
+          roundPlayers: [],
+          rematchVotes: new Map(),
+          graceSeconds,
+          forfeitSeconds,
+          ...saved,
+        };
+        // Whatever ended before this field existed was never recorded; do not record it late.
+        if (room.recordedRound == null) room.recordedRound = room.round;
+        Object.assign(room, {
+          subscribers: new Set(),
+          connections: new Map(),
+          eventLog: [],
+          hostTimer: null,
+          hostAwaySince: null,
+          away: new Map(),
+          awayTimer: null,
+        });
+        for (const key of entry.def.transientKeys || []) room[key] = null;
+        for (const p of room.players.values()) if (!p.isBot) p.online = false;
+        for (const s of room.spectators.values()) s.online = false;
+        entry.rooms.set(room.code, room);
+        if (entry.def.restore) entry.def.restore(room, engine);
+        // The host is offline like everyone else; the grace period starts from the restart.
+        checkHost(room);
+        // Logged as a normal patch, so a client resuming from before the restart catches up.
+        engine.broadcastState(room);
+        restored++;
+      }
+      return restored;
+    },
+
+    // Operator closed the room: everyone gets `closed`, then their streams end.
+    closeRoom(room, reason = "closed_by_admin") {
+      engine.broadcast(room, "closed", { reason });
+      dropRoom(room);
+    },
+
+    // Ends the streams `test(sub)` picks, in every room, with `kicked`; each transport unsubscribes as it closes.
+    // The user keeps their seat (another device of theirs may still be connected).
+    disconnect(test, reason) {
+      for (const room of engine.allRooms()) {
+        for (const sub of Array.from(room.subscribers)) {
+          if (!test(sub)) continue;
+          try {
+            sub.send("kicked", { reason });
+            sub.close();
+          } catch {
+            // ignore
+          }
+        }
+      }
+    },
+
+    // Only the removed player hears `kicked`; everyone else sees an ordinary leave.
+    kickPlayer(room, userId, reason = "kicked_by_admin") {
+      const player = room.players.get(userId) || room.spectators.get(userId);
+      if (!player || player.isBot) return fail(404, "player_not_found");
+      ejectSubscribers(room, userId, reason);
+      return engine.runCommand(room, "leave", { userId, username: player.username }, {});
+    },
+
+    pruneIfEmpty(room) {
+      if (countHumanPlayers(room) > 0) return;
+      dropRoom(room);
+    },
+  };
+
+  return engine;
+}
+
+module.exports = { createRoomEngine };
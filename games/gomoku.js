@@ -0,0 +1,216 @@
+const { nowIso, fail, setTurnByCursor, advanceTurn, dropFromTurn } = require("./shared");
+
+const GOMOKU_SIZE = 19;
+
+function gomokuHasFive(board, boardSize, index, stone) {
+  const row = Math.floor(index / boardSize);
+  const col = index % boardSize;
+  const directions = [
+    [1, 0],
+    [0, 1],
+    [1, 1],
+    [1, -1],
+  ];
+  for (const [dr, dc] of directions) {
+    let count = 1;
+    for (let dir = -1; dir <= 1; dir += 2) {
+      let r = row + dr * dir;
+      let c = col + dc * dir;
+      while (r >= 0 && r < boardSize && c >= 0 && c < boardSize) {
+        const i = r * boardSize + c;
+        if (board[i] !== stone) break;
+        count += 1;
+        r += dr * dir;
+        c += dc * dir;
+      }
+    }
+    if (count >= 5) return true;
+  }
+  return false;
+}
+
+function emptyBoard(boardSize) {
+  return Array.from({ length: boardSize * boardSize }, () => null);
+}
+
+// The opponent left or forfeited; `winner` is whoever is still there.
+function endByDefault(room, winner) {
+  room.status = "ended";
+  room.turnUserId = null;
+  room.draw = false;
+  room.winnerUserId = winner ? winner.userId : null;
+  room.winnerUsername = winner ? winner.username : null;
+  room.winnerStone = winner ? winner.stone || null : null;
+}
+
+module.exports = {
+  game: "gomoku",
+  apiPath: "/api/gomoku/rooms",
+  ssePath: "/sse/gomoku/",
+  capacity: 2,
+  quickMatch: { players: 2, create: {}, start: {} },
+
+  create(room) {
+    room.boardSize = GOMOKU_SIZE;
+    room.board = emptyBoard(GOMOKU_SIZE);
+    room.winnerUserId = null;
+    room.winnerUsername = null;
+    room.winnerStone = null;
+    room.draw = false;
+    room.lastMoveIndex = null;
+    room.lastMoveByUserId = null;
+    room.moves = []; // { index, stone } in play order, for the match history
+    room.loserFirst = false;
+    return { ok: true };
+  },
+
+  createPlayer(room, session) {
+    const usedStones = new Set(
+      Array.from(room.players.values())
+        .map((p) => p.stone)
+        .filter(Boolean)
+    );
+    return {
+      userId: session.userId,
+      username: session.username,
+      joinedAt: nowIso(),
+      online: true,
+      stone: usedStones.has("B") ? "W" : "B",
+    };
+  },
+
+  leave(room, { wasTurn }) {
+    if (room.status !== "playing") return;
+    if (room.players.size < 2) endByDefault(room, room.players.values().next().value);
+    else dropFromTurn(room, wasTurn);
+  },
+
+  skipTurn(room) {
+    advanceTurn(room);
+  },
+
+  forfeit(room) {
+    endByDefault(room, room.players.get(room.turnOrder[0]));
+  },
+
+  start(room, { body }) {
+    if (room.players.size !== 2) return fail(409, "need_two_players");
+    if (body.loserFirst !== undefined) room.loserFirst = Boolean(body.loserFirst);
+    // Whoever lost the last game takes black (first move) when the room plays loser-first.
+    const loserUserId =
+      room.status === "ended" && room.loserFirst && room.winnerUserId != null
+        ? Array.from(room.players.keys()).find((id) => id !== room.winnerUserId)
+        : null;
+
+    room.status = "playing";
+    room.board = emptyBoard(room.boardSize);
+    room.turnOrder = Array.from(room.players.keys()).slice(0, 2);
+    if (loserUserId != null) {
+      room.turnOrder = [loserUserId, ...room.turnOrder.filter((id) => id !== loserUserId)];
+    }
+    room.turnCursor = 0;
+    setTurnByCursor(room);
+    room.winnerUserId = null;
+    room.winnerUsername = null;
+    room.winnerStone = null;
+    room.draw = false;
+    room.lastMoveIndex = null;
+    room.lastMoveByUserId = null;
+    room.moves = [];
+
+    for (let i = 0; i < room.turnOrder.length; i++) {
+      const id = room.turnOrder[i];
+      const p = room.players.get(id);
+      if (p) p.stone = i === 0 ? "B" : "W";
+    }
+    return { ok: true };
+  },
+
+  actions: {
+    move(room, { session, body }) {
+      if (room.status !== "playing") return fail(409, "not_playing");
+      if (room.turnUserId !== session.userId) return fail(403, "not_your_turn");
+      const player = room.players.get(session.userId);
+      if (!player || !player.stone) return fail(403, "player_not_ready");
+      const index = Number(body.index);
+      const maxIndex = room.boardSize * room.boardSize - 1;
+      if (!Number.isInteger(index) || index < 0 || index > maxIndex) return fail(400, "invalid_index");
+      if (room.board[index]) return fail(409, "occupied");
+
+      room.board[index] = player.stone;
+      room.lastMoveIndex = index;
+      room.lastMoveByUserId = session.userId;
+      room.moves.push({ index, stone: player.stone });
+
+      if (gomokuHasFive(room.board, room.boardSize, index, player.stone)) {
+        room.status = "ended";
+        room.turnUserId = null;
+        room.draw = false;
+        room.winnerUserId = player.userId;
+        room.winnerUsername = player.username;
+        room.winnerStone = player.stone;
+        return { ok: true, ended: true };
+      }
+
+      const boardFull = room.board.every((v) => Boolean(v));
+      if (boardFull) {
+        room.status = "ended";
+        room.turnUserId = null;
+        room.draw = true;
+        room.winnerUserId = null;
+        room.winnerUsername = null;
+        room.winnerStone = null;
+        return { ok: true, ended: true, draw: true };
+      }
+
+      room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
+      setTurnByCursor(room);
+      return { ok: true };
+    },
+  },
+
+  publicState(room) {
+    return {
+      code: room.code,
+      status: room.status,
+      hostUserId: room.hostUserId,
+      createdAt: room.createdAt,
+      boardSize: room.boardSize,
+      board: room.board,
+      turnUserId: room.turnUserId ?? null,
+      winnerUserId: room.winnerUserId ?? null,
+      winnerUsername: room.winnerUsername ?? null,
+      winnerStone: room.winnerStone ?? null,
+      draw: Boolean(room.draw),
+      loserFirst: Boolean(room.loserFirst),
+      lastMoveIndex: room.lastMoveIndex ?? null,
+      lastMoveByUserId: room.lastMoveByUserId ?? null,
+      players: Array.from(room.players.values()).map((p) => ({
+        userId: p.userId,
+        username: p.username,
+        online: Boolean(p.online),
+        joinedAt: p.joinedAt,
+        stone: p.stone || null,
+        isGuest: Boolean(p.isGuest),
+      })),
+    };
+  },
+
+  browserSettings(state) {
+    return { boardSize: state.boardSize };
+  },
+
+  matchResult(room) {
+    return {
+      settings: { boardSize: room.boardSize, loserFirst: Boolean(room.loserFirst) },
+      winnerUserIds: room.winnerUserId != null ? [room.winnerUserId] : [],
+      result: { winnerStone: room.winnerStone ?? null, draw: Boolean(room.draw) },
+      moves: room.moves,
+    };
+  },
+
+  // Rooms saved before the match history existed have no move list yet.
+  restore(room) {
+    room.moves ||= [];
+  },
+};
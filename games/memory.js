@@ -0,0 +1,300 @@
+const { nowIso, fail, cryptoShuffleItems, setTurnByCursor, advanceTurn, dropFromTurn } = require("./shared");
+
+const MEMORY_CARD_COUNTS = new Set([20, 30, 40, 50, 60]);
+
+const MEMORY_COUNTRIES = [
+  { key: "kr", flag: "🇰🇷", nameKo: "대한민국" },
+  { key: "us", flag: "🇺🇸", nameKo: "미국" },
+  { key: "jp", flag: "🇯🇵", nameKo: "일본" },
+  { key: "cn", flag: "🇨🇳", nameKo: "중국" },
+  { key: "gb", flag: "🇬🇧", nameKo: "영국" },
+  { key: "fr", flag: "🇫🇷", nameKo: "프랑스" },
+  { key: "de", flag: "🇩🇪", nameKo: "독일" },
+  { key: "it", flag: "🇮🇹", nameKo: "이탈리아" },
+  { key: "es", flag: "🇪🇸", nameKo: "스페인" },
+  { key: "pt", flag: "🇵🇹", nameKo: "포르투갈" },
+  { key: "nl", flag: "🇳🇱", nameKo: "네덜란드" },
+  { key: "be", flag: "🇧🇪", nameKo: "벨기에" },
+  { key: "se", flag: "🇸🇪", nameKo: "스웨덴" },
+  { key: "no", flag: "🇳🇴", nameKo: "노르웨이" },
+  { key: "fi", flag: "🇫🇮", nameKo: "핀란드" },
+  { key: "dk", flag: "🇩🇰", nameKo: "덴마크" },
+  { key: "ch", flag: "🇨🇭", nameKo: "스위스" },
+  { key: "at", flag: "🇦🇹", nameKo: "오스트리아" },
+  { key: "pl", flag: "🇵🇱", nameKo: "폴란드" },
+  { key: "gr", flag: "🇬🇷", nameKo: "그리스" },
+  { key: "tr", flag: "🇹🇷", nameKo: "튀르키예" },
+  { key: "ru", flag: "🇷🇺", nameKo: "러시아" },
+  { key: "ca", flag: "🇨🇦", nameKo: "캐나다" },
+  { key: "mx", flag: "🇲🇽", nameKo: "멕시코" },
+  { key: "br", flag: "🇧🇷", nameKo: "브라질" },
+  { key: "ar", flag: "🇦🇷", nameKo: "아르헨티나" },
+  { key: "cl", flag: "🇨🇱", nameKo: "칠레" },
+  { key: "au", flag: "🇦🇺", nameKo: "호주" },
+  { key: "nz", flag: "🇳🇿", nameKo: "뉴질랜드" },
+  { key: "in", flag: "🇮🇳", nameKo: "인도" },
+  { key: "th", flag: "🇹🇭", nameKo: "태국" },
+  { key: "vn", flag: "🇻🇳", nameKo: "베트남" },
+  { key: "id", flag: "🇮🇩", nameKo: "인도네시아" },
+  { key: "ph", flag: "🇵🇭", nameKo: "필리핀" },
+  { key: "sg", flag: "🇸🇬", nameKo: "싱가포르" },
+  { key: "my", flag: "🇲🇾", nameKo: "말레이시아" },
+  { key: "sa", flag: "🇸🇦", nameKo: "사우디아라비아" },
+  { key: "ae", flag: "🇦🇪", nameKo: "아랍에미리트" },
+  { key: "eg", flag: "🇪🇬", nameKo: "이집트" },
+  { key: "za", flag: "🇿🇦", nameKo: "남아프리카공화국" },
+];
+
+function clampMemoryCardCount(cardCount) {
+  const n = Number(cardCount);
+  if (!Number.isInteger(n)) return null;
+  if (!MEMORY_CARD_COUNTS.has(n)) return null;
+  return n;
+}
+
+function checkMemoryStart(room, body) {
+  return clampMemoryCardCount(body.cardCount ?? room.cardCount) ? null : fail(400, "invalid_card_count");
+}
+
+function buildMemoryDeck(cardCount) {
+  const pairCount = Math.floor(cardCount / 2);
+  const picked = cryptoShuffleItems(MEMORY_COUNTRIES).slice(0, pairCount);
+  const cards = [];
+  let uid = 0;
+  for (const c of picked) {
+    cards.push({
+      uid: uid++,
+      countryKey: c.key,
+      flag: c.flag,
+      nameKo: c.nameKo,
+      matched: false,
+    });
+    cards.push({
+      uid: uid++,
+      countryKey: c.key,
+      flag: c.flag,
+      nameKo: c.nameKo,
+      matched: false,
+    });
+  }
+  return cryptoShuffleItems(cards);
+}
+
+function clearResolveTimer(room) {
+  if (room.resolveTimer) {
+    clearTimeout(room.resolveTimer);
+    room.resolveTimer = null;
+  }
+}
+
+function memoryFinalizeIfDone(room) {
+  if (room.matchedCount < room.cardCount / 2) return false;
+  room.status = "ended";
+  room.turnUserId = null;
+  room.revealedIndices = [];
+  room.resolving = false;
+  clearResolveTimer(room);
+  let maxScore = -1;
+  for (const p of room.players.values()) {
+    maxScore = Math.max(maxScore, Number(p.score || 0));
+  }
+  room.winners = Array.from(room.players.values())
+    .filter((p) => Number(p.score || 0) === maxScore)
+    .map((p) => ({ userId: p.userId, username: p.username, score: Number(p.score || 0) }));
+  return true;
+}
+
+// Everyone left: nobody won.
+function clearMemoryWinners(room) {
+  room.winners = [];
+}
+
+function memoryResolveMismatchLater(room, engine) {
+  if (room.resolveTimer) clearTimeout(room.resolveTimer);
+  room.resolving = true;
+  room.resolveTimer = setTimeout(() => {
+    room.resolveTimer = null;
+    if (room.status !== "playing") return;
+    // Unmatched cards are hidden again in public state by clearing revealed indices.
+    room.revealedIndices = [];
+    room.resolving = false;
+    if (room.turnOrder.length > 0) {
+      room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
+      setTurnByCursor(room);
+    } else {
+      room.turnUserId = null;
+    }
+    engine.broadcastState(room);
+  }, 1100);
+}
+
+module.exports = {
+  game: "memory",
+  apiPath: "/api/memory/rooms",
+  ssePath: "/sse/memory/",
+  capacity: 8,
+  quickMatch: { players: 8, create: { cardCount: 40 }, start: {} },
+
+  create(room, { body }) {
+    const cardCount = clampMemoryCardCount(body.cardCount ?? 20);
+    if (!cardCount) return fail(400, "invalid_card_count");
+    room.cardCount = cardCount;
+    room.matchedCount = 0;
+    room.cards = [];
+    room.revealedIndices = [];
+    room.resolving = false;
+    room.resolveTimer = null;
+    room.winners = [];
+    return { ok: true };
+  },
+
+  createPlayer(room, session) {
+    return {
+      userId: session.userId,
+      username: session.username,
+      joinedAt: nowIso(),
+      online: true,
+      score: 0,
+    };
+  },
+
+  leave(room, { wasTurn }) {
+    clearResolveTimer(room);
+    room.revealedIndices = [];
+    room.resolving = false;
+    dropFromTurn(room, wasTurn, clearMemoryWinners);
+  },
+
+  // A mismatch being resolved already moves the turn on by itself.
+  skipTurn(room) {
+    if (room.resolving) return;
+    room.revealedIndices = [];
+    advanceTurn(room);
+  },
+
+  forfeit(room, { wasTurn }) {
+    if (wasTurn) {
+      clearResolveTimer(room);
+      room.revealedIndices = [];
+      room.resolving = false;
+    }
+    dropFromTurn(room, wasTurn, clearMemoryWinners);
+  },
+
+  checkStart: checkMemoryStart,
+
+  start(room, { body }) {
+    const invalid = checkMemoryStart(room, body);
+    if (invalid) return invalid;
+    const cardCount = clampMemoryCardCount(body.cardCount ?? room.cardCount);
+    if (room.players.size < 1) return fail(409, "no_players");
+
+    room.status = "playing";
+    room.cardCount = cardCount;
+    room.cards = buildMemoryDeck(cardCount);
+    room.matchedCount = 0;
+    room.revealedIndices = [];
+    room.resolving = false;
+    room.winners = [];
+    clearResolveTimer(room);
+    for (const p of room.players.values()) p.score = 0;
+    room.turnOrder = Array.from(room.players.keys());
+    room.turnCursor = 0;
+    setTurnByCursor(room);
+    return { ok: true };
+  },
+
+  actions: {
+    pick(room, { session, body, engine }) {
+      if (room.status !== "playing") return fail(409, "not_playing");
+      if (room.turnUserId !== session.userId) return fail(403, "not_your_turn");
+      if (room.resolving) return fail(409, "resolving");
+      const index = Number(body.index);
+      if (!Number.isInteger(index) || index < 0 || index >= room.cards.length) return fail(400, "invalid_index");
+      const card = room.cards[index];
+      if (!card || card.matched) return fail(409, "already_matched");
+      if (room.revealedIndices.includes(index)) return fail(409, "already_revealed");
+
+      room.revealedIndices.push(index);
+      if (room.revealedIndices.length === 1) return { ok: true };
+
+      const [a, b] = room.revealedIndices;
+      const cardA = room.cards[a];
+      const cardB = room.cards[b];
+      if (cardA.countryKey === cardB.countryKey) {
+        cardA.matched = true;
+        cardB.matched = true;
+        room.matchedCount += 1;
+        room.revealedIndices = [];
+        const picker = room.players.get(session.userId);
+        if (picker) picker.score = Number(picker.score || 0) + 1;
+
+        if (memoryFinalizeIfDone(room)) return { ok: true, ended: true };
+        return { ok: true, matched: true };
+      }
+
+      memoryResolveMismatchLater(room, engine);
+      return { ok: true, matched: false };
+    },
+  },
+
+  publicState(room) {
+    const revealedSet = new Set(room.revealedIndices || []);
+    return {
+      code: room.code,
+      status: room.status,
+      hostUserId: room.hostUserId,
+      createdAt: room.createdAt,
+      cardCount: room.cardCount,
+      pairsTotal: room.cardCount / 2,
+      pairsMatched: room.matchedCount,
+      players: Array.from(room.players.values()).map((p) => ({
+        userId: p.userId,
+        username: p.username,
+        online: Boolean(p.online),
+        joinedAt: p.joinedAt,
+        score: Number(p.score || 0),
+        isGuest: Boolean(p.isGuest),
+      })),
+      turnUserId: room.turnUserId ?? null,
+      resolving: Boolean(room.resolving),
+      revealedIndices: [...room.revealedIndices],
+      winners: room.winners || [],
+      cards: room.cards.map((card, index) => {
+        const visible = card.matched || revealedSet.has(index);
+        return {
+          index,
+          matched: Boolean(card.matched),
+          visible,
+          flag: visible ? card.flag : null,
+          nameKo: visible ? card.nameKo : null,
+        };
+      }),
+    };
+  },
+
+  browserSettings(state) {
+    return { cardCount: state.cardCount };
+  },
+
+  matchResult(room) {
+    return {
+      settings: { cardCount: room.cardCount },
+      winnerUserIds: (room.winners || []).map((w) => w.userId),
+      result: {
+        scores: Array.from(room.players.values(), (p) => ({ userId: p.userId, score: Number(p.score || 0) })),
+      },
+    };
+  },
+
+  transientKeys: ["resolveTimer"],
+
+  // A snapshot taken mid-mismatch still has the two cards face up; flip them back as usual.
+  restore(room, engine) {
+    if (room.status === "playing" && room.resolving) memoryResolveMismatchLater(room, engine);
+  },
+
+  dispose(room) {
+    clearResolveTimer(room);
+  },
+};
@@ -0,0 +1,73 @@
+const crypto = require("node:crypto");
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// Result shape shared by every game hook: `{ ok: true, ...payload }` or a failure
+// carrying the HTTP status the route should answer with.
+function fail(status, error) {
+  return { ok: false, status, error };
+}
+
+function cryptoShuffleItems(arr) {
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(0, i + 1);
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function setTurnByCursor(room) {
+  if (room.turnOrder.length === 0) {
+    room.turnUserId = null;
+    return;
+  }
+  room.turnCursor = ((room.turnCursor % room.turnOrder.length) + room.turnOrder.length) % room.turnOrder.length;
+  room.turnUserId = room.turnOrder[room.turnCursor];
+}
+
+// Next player in `turnOrder`, wrapping around.
+function advanceTurn(room) {
+  if (room.turnOrder.length === 0) {
+    room.turnUserId = null;
+    return;
+  }
+  room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
+  setTurnByCursor(room);
+}
+
+// A player left the turn order (left the room or forfeited); keep the turn on someone still in it. Once nobody is
+// left the game ends, and `onEmpty(room)` clears whatever else the game keeps about it.
+function dropFromTurn(room, wasTurn, onEmpty) {
+  if (room.status !== "playing") return;
+  if (room.turnOrder.length === 0) {
+    room.status = "ended";
+    room.turnUserId = null;
+    if (onEmpty) onEmpty(room);
+  } else if (wasTurn || !room.turnOrder.includes(room.turnUserId)) {
+    if (room.turnCursor >= room.turnOrder.length) room.turnCursor = 0;
+    setTurnByCursor(room);
+  } else {
+    room.turnCursor = Math.max(0, room.turnOrder.indexOf(room.turnUserId));
+  }
+}
+
+function countHumanPlayers(room) {
+  let count = 0;
+  for (const p of room.players.values()) {
+    if (!p.isBot) count++;
+  }
+  return count;
+}
+
+module.exports = {
+  nowIso,
+  fail,
+  cryptoShuffleItems,
+  setTurnByCursor,
+  advanceTurn,
+  dropFromTurn,
+  countHumanPlayers,
+};
@@ -0,0 +1,37 @@
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+/**
+ * Ops that turn `prev` into `next` (both plain JSON values):
+ *   { op: "set", path, value }   replace the value at path
+ *   { op: "push", path, values } append to the array at path (calledNumbers, new players)
+ *   { op: "del", path }          remove an object key
+ * Arrays are compared index by index, so a gomoku move is one `set` on `["board", i]`.
+ * The browser side lives in `public/room-link.js` (`applyStatePatch`).
+ */
+function diffState(prev, next, path = [], ops = []) {
+  if (Object.is(prev, next)) return ops;
+
+  if (Array.isArray(prev) && Array.isArray(next) && next.length >= prev.length) {
+    for (let i = 0; i < prev.length; i++) diffState(prev[i], next[i], [...path, i], ops);
+    if (next.length > prev.length) ops.push({ op: "push", path, values: next.slice(prev.length) });
+    return ops;
+  }
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(next)) {
+      if (Object.hasOwn(prev, key)) diffState(prev[key], next[key], [...path, key], ops);
+      else ops.push({ op: "set", path: [...path, key], value: next[key] });
+    }
+    for (const key of Object.keys(prev)) {
+      if (!Object.hasOwn(next, key)) ops.push({ op: "del", path: [...path, key] });
+    }
+    return ops;
+  }
+
+  ops.push({ op: "set", path, value: next });
+  return ops;
+}
+
+module.exports = { diffState };
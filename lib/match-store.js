@@ -0,0 +1,119 @@
+const fsp = require("node:fs/promises");
+
+const DELETED_USERNAME = "탈퇴한 사용자";
+
+// Rewrites every `userId` / `...UserId` / `...UserIds` value in a match record, wherever the game put it, and the
+// `username` next to a matching `userId`.
+function swapUser(value, fromUserId, toUserId, username) {
+  if (Array.isArray(value)) {
+    for (const item of value) swapUser(item, fromUserId, toUserId, username);
+    return;
+  }
+  if (!value || typeof value !== "object") return;
+  if (value.userId === fromUserId && "username" in value) value.username = username;
+  for (const [key, v] of Object.entries(value)) {
+    if ((key === "userId" || key.endsWith("UserId")) && v === fromUserId) {
+      value[key] = toUserId;
+    } else if (key.endsWith("UserIds") && Array.isArray(v)) {
+      value[key] = v.map((id) => (id === fromUserId ? toUserId : id));
+    } else {
+      swapUser(v, fromUserId, toUserId, username);
+    }
+  }
+}
+
+/**
+ * Finished matches, oldest first, kept in memory and written whole to `file` after every change through one
+ * queued write-then-rename (the same approach as users.json). Only the newest `maxMatches` are kept.
+ *   load()                           async, once at startup
+ *   add(record)                      assigns `id`; returns the stored match
+ *   listForUser(userId, options)     `{ games, offset, limit }` -> `{ total, matches }`, newest first
+ *   rekeyUser(from, to, username)    a guest who signed up keeps their history
+ *   anonymizeUser(userId)            a deleted account stays in other players' history only as "탈퇴한 사용자"
+ *   flush()                          async, resolves once pending writes are on disk
+ */
+function createMatchStore(file, { maxMatches = 20000 } = {}) {
+  let db = { nextId: 1, matches: [] };
+  let writeInFlight = Promise.resolve();
+
+  function queueWrite() {
+    const text = JSON.stringify(db);
+    const write = async () => {
+      const tmp = `${file}.tmp`;
+      await fsp.writeFile(tmp, text, "utf8");
+      await fsp.rename(tmp, file);
+    };
+    writeInFlight = writeInFlight.then(write, write);
+    writeInFlight.catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error("match history write failed", err);
+    });
+    return writeInFlight;
+  }
+
+  function replaceUser(fromUserId, toUserId, username, flags) {
+    let changed = false;
+    for (const m of db.matches) {
+      const p = m.participants.find((x) => x.userId === fromUserId);
+      if (!p) continue;
+      swapUser(m, fromUserId, toUserId, username);
+      delete p.isGuest;
+      Object.assign(p, flags);
+      changed = true;
+    }
+    if (changed) queueWrite();
+  }
+
+  return {
+    async load() {
+      let raw = null;
+      try {
+        raw = await fsp.readFile(file, "utf8");
+      } catch {
+        return;
+      }
+      try {
+        const parsed = JSON.parse(raw);
+        db = {
+          nextId: Number(parsed.nextId || 1),
+          matches: Array.isArray(parsed.matches) ? parsed.matches : [],
+        };
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error("ignoring unreadable match history", err);
+      }
+    },
+
+    add(record) {
+      const match = { id: db.nextId++, ...record };
+      db.matches.push(match);
+      if (db.matches.length > maxMatches) db.matches.splice(0, db.matches.length - maxMatches);
+      queueWrite();
+      return match;
+    },
+
+    listForUser(userId, { games = null, offset = 0, limit = 20 } = {}) {
+      const mine = [];
+      for (let i = db.matches.length - 1; i >= 0; i--) {
+        const m = db.matches[i];
+        if (games && !games.has(m.game)) continue;
+        if (m.participants.some((p) => p.userId === userId)) mine.push(m);
+      }
+      return { total: mine.length, matches: mine.slice(offset, offset + limit) };
+    },
+
+    rekeyUser(fromUserId, toUserId, username) {
+      replaceUser(fromUserId, toUserId, username, {});
+    },
+
+    anonymizeUser(userId) {
+      replaceUser(userId, null, DELETED_USERNAME, { deleted: true });
+    },
+
+    flush() {
+      return writeInFlight.catch(() => {});
+    },
+  };
+}
+
+module.exports = { createMatchStore };
@@ -0,0 +1,131 @@
+/**
+ * Quick-match queues, one per game, in arrival order. A queue that holds a full group (`groupSize(game)`)
+ * is matched at once; otherwise, once its oldest player has waited `waitMs`, whoever is waiting (at least
+ * two) is matched together.
+ *   onMatch(game, entries)   a group, oldest first; each entry is `{ userId, session, queuedAt }` plus the
+ *                            `info` it was queued with
+ *   onUpdate(userId, status) a waiting player's `status()` changed (also `{ queued: false }` when they left)
+ */
+function createMatchmaker({ groupSize, waitMs, onMatch, onUpdate }) {
+  const queues = new Map(); // game -> entries, oldest first
+  const gameOf = new Map(); // userId -> game
+  let timer = null;
+
+  function queueOf(game) {
+    if (!queues.has(game)) queues.set(game, []);
+    return queues.get(game);
+  }
+
+  // Players are matched in consecutive groups of `size`; a group can only go once every earlier one has,
+  // and a group of one waits for company (null).
+  function statusAt(game, index, now) {
+    const queue = queueOf(game);
+    const size = groupSize(game);
+    const group = Math.floor(index / size);
+    let matchAt = null;
+    if (queue.length - group * size >= 2) {
+      matchAt = 0;
+      for (let g = 0; g <= group; g++) matchAt = Math.max(matchAt, queue[g * size].queuedAt + waitMs);
+    }
+    return {
+      queued: true,
+      game,
+      position: index + 1,
+      waiting: queue.length,
+      groupSize: size,
+      etaSeconds: matchAt == null ? null : Math.max(0, Math.ceil((matchAt - now) / 1000)),
+    };
+  }
+
+  function announce(game) {
+    const now = Date.now();
+    queueOf(game).forEach((entry, i) => onUpdate(entry.userId, statusAt(game, i, now)));
+  }
+
+  function take(game, count) {
+    const group = queueOf(game).splice(0, count);
+    for (const entry of group) gameOf.delete(entry.userId);
+    onMatch(game, group);
+  }
+
+  // Returns the games that matched a group (their queues have been announced).
+  function matchReady(now = Date.now()) {
+    const matched = new Set();
+    for (const [game, queue] of queues) {
+      const size = groupSize(game);
+      while (queue.length >= size || (queue.length >= 2 && queue[0].queuedAt + waitMs <= now)) {
+        take(game, Math.min(size, queue.length));
+        matched.add(game);
+      }
+      if (matched.has(game)) announce(game);
+    }
+    schedule(now);
+    return matched;
+  }
+
+  function schedule(now) {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    let next = null;
+    for (const queue of queues.values()) {
+      if (queue.length < 2) continue;
+      const at = queue[0].queuedAt + waitMs;
+      if (next == null || at < next) next = at;
+    }
+    if (next != null) timer = setTimeout(() => matchReady(), Math.max(0, next - now));
+  }
+
+  function remove(userId) {
+    const game = gameOf.get(userId);
+    if (!game) return null;
+    const queue = queueOf(game);
+    queue.splice(queue.findIndex((entry) => entry.userId === userId), 1);
+    gameOf.delete(userId);
+    return game;
+  }
+
+  return {
+    // Joining another game's queue leaves the current one; joining the same one again keeps the place.
+    enqueue(game, session, info = {}) {
+      if (gameOf.get(session.userId) !== game) {
+        const left = remove(session.userId);
+        if (left) announce(left);
+        queueOf(game).push({ ...info, userId: session.userId, session, queuedAt: Date.now() });
+        gameOf.set(session.userId, game);
+        if (!matchReady().has(game)) announce(game);
+      }
+      return this.status(session.userId);
+    },
+
+    cancel(userId) {
+      const game = remove(userId);
+      if (!game) return false;
+      onUpdate(userId, { queued: false });
+      announce(game);
+      schedule(Date.now());
+      return true;
+    },
+
+    // A guest who signed up keeps their place; `info` replaces what they were queued with.
+    rekey(fromUserId, toUserId, info = {}) {
+      const game = gameOf.get(fromUserId);
+      if (!game) return;
+      const entry = queueOf(game).find((e) => e.userId === fromUserId);
+      Object.assign(entry, info, { userId: toUserId });
+      gameOf.delete(fromUserId);
+      gameOf.set(toUserId, game);
+    },
+
+    status(userId) {
+      const game = gameOf.get(userId);
+      if (!game) return { queued: false };
+      return statusAt(game, queueOf(game).findIndex((entry) => entry.userId === userId), Date.now());
+    },
+
+    waiting(game) {
+      return queues.has(game) ? queues.get(game).length : 0;
+    },
+  };
+}
+
+module.exports = { createMatchmaker };
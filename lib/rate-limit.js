@@ -0,0 +1,40 @@
+/**
+ * In-process token buckets. Each key (an IP, a user id) holds up to `burst` tokens and
+ * regains `perMinute` of them per minute; `take()` spends one.
+ * Returns `{ ok: true }` or `{ ok: false, retryAfterMs }`.
+ */
+function createRateLimiter({ burst, perMinute }) {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+  const refillPerMs = perMinute / 60000;
+
+  function refill(bucket, now) {
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+  }
+
+  return {
+    take(key, now = Date.now()) {
+      let bucket = buckets.get(key);
+      if (!bucket) {
+        bucket = { tokens: burst, updatedAt: now };
+        buckets.set(key, bucket);
+      }
+      refill(bucket, now);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { ok: true };
+      }
+      return { ok: false, retryAfterMs: Math.ceil((1 - bucket.tokens) / refillPerMs) };
+    },
+
+    // Full buckets carry no information; drop them so idle keys do not pile up.
+    sweep(now = Date.now()) {
+      for (const [key, bucket] of buckets) {
+        refill(bucket, now);
+        if (bucket.tokens >= burst) buckets.delete(key);
+      }
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,130 @@
+const fsp = require("node:fs/promises");
+const crypto = require("node:crypto");
+
+/**
+ * Session stores share one synchronous shape so `getSession()` can stay synchronous:
+ *   load()          async, once at startup
+ *   get(sid)        session object or null
+ *   set(sid, s)     insert or replace
+ *   touch(sid)      the caller mutated `s` in place (e.g. lastSeenAt)
+ *   delete(sid)
+ *   sweep(isDead)   drop every session for which `isDead(s)` is true, returns the count
+ *   values()        every stored session (mutate, then `touch()`)
+ *   flush()         async, persist pending changes now
+ */
+function createMemorySessionStore() {
+  const map = new Map(); // sid -> session
+
+  return {
+    async load() {},
+    get(sid) {
+      return map.get(sid) || null;
+    },
+    set(sid, session) {
+      map.set(sid, session);
+    },
+    touch() {},
+    delete(sid) {
+      map.delete(sid);
+    },
+    sweep(isDead) {
+      let removed = 0;
+      for (const [sid, s] of map) {
+        if (!isDead(s)) continue;
+        map.delete(sid);
+        removed++;
+      }
+      return removed;
+    },
+    values() {
+      return Array.from(map.values());
+    },
+    async flush() {},
+  };
+}
+
+// Keeps everything in memory and writes the whole map to `file` shortly after changes.
+// Keys are sha256(sid) so the file alone is not a list of live cookies.
+function createFileSessionStore(file, { writeDelayMs = 2000 } = {}) {
+  const map = new Map(); // sha256(sid) -> session
+  let writeTimer = null;
+  let writeInFlight = Promise.resolve();
+
+  function keyOf(sid) {
+    return crypto.createHash("sha256").update(String(sid)).digest("base64url");
+  }
+
+  function queueWrite() {
+    writeInFlight = writeInFlight.then(async () => {
+      const tmp = `${file}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify({ sessions: Object.fromEntries(map) }), "utf8");
+      await fsp.rename(tmp, file);
+    });
+    return writeInFlight;
+  }
+
+  function scheduleWrite() {
+    if (writeTimer) return;
+    writeTimer = setTimeout(() => {
+      writeTimer = null;
+      queueWrite().catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error("session store write failed", err);
+      });
+    }, writeDelayMs);
+  }
+
+  return {
+    async load() {
+      let raw = null;
+      try {
+        raw = await fsp.readFile(file, "utf8");
+      } catch {
+        return;
+      }
+      try {
+        const parsed = JSON.parse(raw);
+        for (const [key, s] of Object.entries(parsed.sessions || {})) {
+          if (s && typeof s === "object") map.set(key, s);
+        }
+      } catch {
+        // A torn or hand-edited file only costs everyone a fresh login.
+      }
+    },
+    get(sid) {
+      return map.get(keyOf(sid)) || null;
+    },
+    set(sid, session) {
+      map.set(keyOf(sid), session);
+      scheduleWrite();
+    },
+    touch() {
+      scheduleWrite();
+    },
+    delete(sid) {
+      if (map.delete(keyOf(sid))) scheduleWrite();
+    },
+    sweep(isDead) {
+      let removed = 0;
+      for (const [key, s] of map) {
+        if (!isDead(s)) continue;
+        map.delete(key);
+        removed++;
+      }
+      if (removed > 0) scheduleWrite();
+      return removed;
+    },
+    values() {
+      return Array.from(map.values());
+    },
+    async flush() {
+      if (writeTimer) {
+        clearTimeout(writeTimer);
+        writeTimer = null;
+      }
+      await queueWrite();
+    },
+  };
+}
+
+module.exports = { createMemorySessionStore, createFileSessionStore };
@@ -0,0 +1,93 @@
+const fsp = require("node:fs/promises");
+
+const MIN_LENGTH = 2;
+const MAX_LENGTH = 20;
+
+// Letters and digits of any script, plus a space and `_ - .` between them.
+const ALLOWED = /^[\p{L}\p{M}\p{N}_\-. ]+$/u;
+const INVISIBLE = /[\p{Cc}\p{Cf}\p{Zl}\p{Zp}]/u;
+
+// Look-alikes folded onto the Latin letter they imitate. Not the full Unicode confusables table, just the
+// Cyrillic/Greek letters and digits people actually use to fake a name.
+const CONFUSABLES = new Map(
+  Object.entries({
+    а: "a", в: "b", е: "e", ё: "e", к: "k", м: "m", н: "h", о: "o", р: "p", с: "c", т: "t", у: "y", х: "x",
+    і: "i", ї: "i", ј: "j", ѕ: "s", ԁ: "d", ԛ: "q", ԝ: "w", ɡ: "g",
+    α: "a", β: "b", ε: "e", η: "n", ι: "i", κ: "k", μ: "u", ν: "v", ο: "o", ρ: "p", τ: "t", υ: "u", χ: "x",
+    0: "o", 1: "l", 3: "e", 5: "s", 8: "b", i: "l", "|": "l",
+  })
+);
+const SEPARATORS = /[\s_\-.]+/g;
+
+// NFKC folds full-width and compatibility forms ("ＣＯＭ" -> "COM"); inner runs of spaces become one.
+function normalizeUsername(name) {
+  return String(name || "")
+    .normalize("NFKC")
+    .trim()
+    .replace(/\s+/g, " ");
+}
+
+// What a name looks like once case, accents, separators and look-alike letters are ignored.
+// Two names with the same skeleton are treated as the same name.
+function usernameSkeleton(name) {
+  const folded = normalizeUsername(name).toLowerCase().normalize("NFD").replace(/\p{M}/gu, "");
+  let out = "";
+  for (const ch of folded.replace(SEPARATORS, "")) out += CONFUSABLES.get(ch) || ch;
+  return out.replace(/rn/g, "m").replace(/vv/g, "w");
+}
+
+// Latin mixed with Cyrillic or Greek is how look-alike names are built; Hangul + Latin is normal here.
+function isMixedScript(name) {
+  const latin = /\p{Script=Latin}/u.test(name);
+  return latin && /[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(name);
+}
+
+/**
+ * Rules for names people pick (signup, rename, guest upgrade). Logging in only normalizes.
+ *   reserved        names nobody may take, or look like (the bot, staff titles)
+ *   reservedPrefixes  e.g. the guest prefix
+ *   blocklistFile   one word per line, `#` comments; a name containing one is refused. Re-read by load().
+ * `check(name)` returns `{ ok: true, username }` with the normalized name, or `{ ok: false, status, error }`.
+ */
+function createUsernamePolicy({ reserved = [], reservedPrefixes = [], blocklistFile = null } = {}) {
+  const reservedSkeletons = new Set(reserved.map(usernameSkeleton));
+  let blocked = [];
+
+  return {
+    async load() {
+      if (!blocklistFile) return;
+      let raw = "";
+      try {
+        raw = await fsp.readFile(blocklistFile, "utf8");
+      } catch {
+        blocked = [];
+        return;
+      }
+      blocked = raw
+        .split(/\r?\n/)
+        .map((line) => line.replace(/#.*/, "").trim())
+        .filter(Boolean)
+        .map(usernameSkeleton)
+        .filter(Boolean);
+    },
+
+    check(name) {
+      const raw = String(name || "");
+      if (INVISIBLE.test(raw.trim())) return { ok: false, status: 400, error: "username_invalid" };
+      const username = normalizeUsername(raw);
+      const length = Array.from(username).length;
+      if (length < MIN_LENGTH || length > MAX_LENGTH) return { ok: false, status: 400, error: "username_length" };
+      if (!ALLOWED.test(username) || isMixedScript(username)) {
+        return { ok: false, status: 400, error: "username_invalid" };
+      }
+      const skeleton = usernameSkeleton(username);
+      if (reservedSkeletons.has(skeleton) || reservedPrefixes.some((prefix) => username.startsWith(prefix))) {
+        return { ok: false, status: 400, error: "username_reserved" };
+      }
+      if (blocked.some((word) => skeleton.includes(word))) return { ok: false, status: 400, error: "username_blocked" };
+      return { ok: true, username };
+    },
+  };
+}
+
+module.exports = { createUsernamePolicy, normalizeUsername, usernameSkeleton };
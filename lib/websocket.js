@@ -0,0 +1,202 @@
+const http = require("node:http");
+const crypto = require("node:crypto");
+
+// Minimal RFC 6455 server side: text frames, ping/pong and close. No extensions.
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 1024 * 32;
+const PING_INTERVAL_MS = 25000;
+
+function rejectUpgrade(socket, statusCode, error) {
+  const body = JSON.stringify({ ok: false, error });
+  socket.end(
+    `HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode] || "Error"}\r\n` +
+      "Content-Type: application/json; charset=utf-8\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+      "Connection: close\r\n\r\n" +
+      body
+  );
+}
+
+function encodeFrame(opcode, payload) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.alloc(2);
+    header[1] = len;
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Completes the handshake on an `upgrade` request and returns `{ send(text), close(code) }`.
+ * `onMessage(text, ws)` gets each complete text message, along with that same object; `onClose()` fires exactly once.
+ * Returns null (and answers 400) when the request is not a valid WebSocket handshake.
+ */
+function acceptWebSocket(req, socket, head, { onMessage = () => {}, onClose = () => {} } = {}) {
+  const key = req.headers["sec-websocket-key"];
+  const upgrade = String(req.headers.upgrade || "").toLowerCase();
+  if (req.method !== "GET" || upgrade !== "websocket" || !key || req.headers["sec-websocket-version"] !== "13") {
+    rejectUpgrade(socket, 400, "bad_upgrade");
+    return null;
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  socket.setNoDelay(true);
+
+  let buffer = head && head.length ? Buffer.from(head) : Buffer.alloc(0);
+  let fragments = [];
+  let fragmentBytes = 0;
+  let closed = false;
+  let awaitingPong = false;
+
+  function write(opcode, payload) {
+    if (closed || socket.destroyed) return;
+    socket.write(encodeFrame(opcode, payload));
+  }
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    clearInterval(pinger);
+    onClose();
+  }
+
+  function close(code = 1000) {
+    if (closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    write(0x8, payload);
+    finish();
+    socket.end();
+  }
+
+  function handleFrame(fin, opcode, payload) {
+    if (opcode === 0x8) {
+      close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+      return;
+    }
+    if (opcode === 0x9) {
+      write(0xa, payload);
+      return;
+    }
+    if (opcode === 0xa) {
+      awaitingPong = false;
+      return;
+    }
+    if (opcode === 0x2) {
+      close(1003); // text only
+      return;
+    }
+    if (opcode !== 0x1 && opcode !== 0x0) {
+      close(1002);
+      return;
+    }
+    if (opcode === 0x1 && fragments.length > 0) {
+      close(1002);
+      return;
+    }
+    if (opcode === 0x0 && fragments.length === 0) {
+      close(1002);
+      return;
+    }
+
+    fragmentBytes += payload.length;
+    if (fragmentBytes > MAX_MESSAGE_BYTES) {
+      close(1009);
+      return;
+    }
+    fragments.push(payload);
+    if (!fin) return;
+
+    const text = Buffer.concat(fragments).toString("utf8");
+    fragments = [];
+    fragmentBytes = 0;
+    onMessage(text, ws);
+  }
+
+  function parse() {
+    while (!closed && buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len = buffer[1] & 0x7f;
+      let offset = 2;
+
+      // Clients must mask every frame.
+      if (!masked) {
+        close(1002);
+        return;
+      }
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        const big = buffer.readBigUInt64BE(2);
+        if (big > BigInt(MAX_MESSAGE_BYTES)) {
+          close(1009);
+          return;
+        }
+        len = Number(big);
+        offset = 10;
+      }
+      if (len > MAX_MESSAGE_BYTES) {
+        close(1009);
+        return;
+      }
+      if (buffer.length < offset + 4 + len) return;
+
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffer = buffer.subarray(offset + 4 + len);
+      handleFrame(fin, opcode, payload);
+    }
+  }
+
+  // Drop clients that stopped answering pings (sleeping laptops, dead proxies).
+  const pinger = setInterval(() => {
+    if (awaitingPong) {
+      finish();
+      socket.destroy();
+      return;
+    }
+    awaitingPong = true;
+    write(0x9, Buffer.alloc(0));
+  }, PING_INTERVAL_MS);
+
+  socket.on("data", (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+    parse();
+  });
+  socket.on("close", finish);
+  socket.on("error", finish);
+  // Frames that came in with the upgrade request wait until the caller has what we return.
+  if (buffer.length) setImmediate(parse);
+
+  const ws = {
+    send(text) {
+      write(0x1, Buffer.from(text, "utf8"));
+    },
+    close,
+  };
+  return ws;
+}
+
+module.exports = { acceptWebSocket, rejectUpgrade };
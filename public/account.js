@@ -0,0 +1,135 @@
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
+  const res = await fetch(url, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: "same-origin",
+  });
+  const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
+  return { ok: res.ok, status: res.status, data };
+}
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function setMsg(el, text, kind) {
+  el.textContent = text || "";
+  el.className = kind ? kind : "";
+}
+
+window.initAccountPage = async function initAccountPage() {
+  const meRes = await apiJson("/api/me");
+  if (!meRes.data?.user) {
+    location.href = "/login";
+    return;
+  }
+  const me = meRes.data.user;
+  $("me").textContent = me.username;
+
+  if (me.isGuest) {
+    $("guestCard").hidden = false;
+    for (const el of document.querySelectorAll(".member-only")) el.hidden = true;
+    $("upgrade-form").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const msg = $("upgradeMsg");
+      setMsg(msg, "", "");
+      const r = await apiJson("/api/guest/upgrade", {
+        method: "POST",
+        body: { username: $("upgradeUsername").value, password: $("upgradePassword").value },
+      });
+      if (!r.ok || !r.data?.ok) {
+        const err = r.data?.error || "unknown";
+        if (err === "username_length") setMsg(msg, "아이디는 2~20자로 입력해주세요.", "error");
+        else if (err === "password_length") setMsg(msg, "비밀번호는 4자 이상으로 입력해주세요.", "error");
+        else if (err === "username_taken") setMsg(msg, "이미 사용 중인 아이디입니다.", "error");
+        else if (err === "username_reserved") setMsg(msg, "사용할 수 없는 아이디입니다.", "error");
+        else if (err === "username_blocked") setMsg(msg, "사용할 수 없는 아이디입니다.", "error");
+        else if (err === "username_invalid") setMsg(msg, "아이디에는 글자, 숫자, 공백과 _ - . 만 쓸 수 있습니다.", "error");
+        else setMsg(msg, "회원 전환 실패", "error");
+        return;
+      }
+      location.reload();
+    });
+    return;
+  }
+
+  $("username").value = me.username;
+
+  const avatars = await apiJson("/api/avatars");
+  for (const a of avatars.data?.avatars || []) {
+    const opt = document.createElement("option");
+    opt.value = a;
+    opt.textContent = a;
+    $("avatar").append(opt);
+  }
+  $("avatar").value = me.avatar || "";
+
+  $("profile-form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const msg = $("profileMsg");
+    setMsg(msg, "", "");
+    const r = await apiJson("/api/me", {
+      method: "PATCH",
+      body: { username: $("username").value, avatar: $("avatar").value || null },
+    });
+    if (!r.ok || !r.data?.ok) {
+      const err = r.data?.error || "unknown";
+      if (err === "username_length") setMsg(msg, "아이디는 2~20자로 입력해주세요.", "error");
+      else if (err === "username_taken") setMsg(msg, "이미 사용 중인 아이디입니다.", "error");
+      else if (err === "username_reserved") setMsg(msg, "사용할 수 없는 아이디입니다.", "error");
+      else if (err === "username_blocked") setMsg(msg, "사용할 수 없는 아이디입니다.", "error");
+      else if (err === "username_invalid") setMsg(msg, "아이디에는 글자, 숫자, 공백과 _ - . 만 쓸 수 있습니다.", "error");
+      else setMsg(msg, "프로필 저장 실패", "error");
+      return;
+    }
+    $("me").textContent = r.data.user.username;
+    setMsg(msg, "프로필을 저장했습니다.", "ok");
+  });
+
+  $("delete-form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const msg = $("deleteMsg");
+    setMsg(msg, "", "");
+    if (!confirm("정말 탈퇴할까요? 되돌릴 수 없습니다.")) return;
+    const r = await apiJson("/api/me", { method: "DELETE", body: { password: $("deletePassword").value } });
+    if (!r.ok || !r.data?.ok) {
+      const err = r.data?.error || "unknown";
+      if (err === "invalid_credentials") setMsg(msg, "비밀번호가 올바르지 않습니다.", "error");
+      else setMsg(msg, "탈퇴 실패", "error");
+      return;
+    }
+    location.href = "/login";
+  });
+
+  $("password-form").addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const msg = $("passwordMsg");
+    setMsg(msg, "", "");
+    const r = await apiJson("/api/me/password", {
+      method: "POST",
+      body: { currentPassword: $("currentPassword").value, newPassword: $("newPassword").value },
+    });
+    if (!r.ok || !r.data?.ok) {
+      const err = r.data?.error || "unknown";
+      if (err === "invalid_credentials") setMsg(msg, "현재 비밀번호가 올바르지 않습니다.", "error");
+      else if (err === "password_length") setMsg(msg, "새 비밀번호는 4자 이상으로 입력해주세요.", "error");
+      else setMsg(msg, "비밀번호 변경 실패", "error");
+      return;
+    }
+    $("password-form").reset();
+    setMsg(msg, "비밀번호를 변경했습니다. 다른 기기에서는 다시 로그인해야 합니다.", "ok");
+  });
+};
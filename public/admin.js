@@ -0,0 +1,288 @@
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
+  const res = await fetch(url, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: "same-origin",
+  });
+  const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
+  return { ok: res.ok, status: res.status, data };
+}
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function setMsg(text, kind = "") {
+  const el = $("msg");
+  el.textContent = text;
+  el.className = kind;
+}
+
+const GAME_LABELS = { bingo: "빙고", croc: "악어", memory: "메모리", gomoku: "오목" };
+const REFRESH_MS = 5000;
+
+function roomStatusLabel(status) {
+  if (status === "lobby") return "대기중";
+  if (status === "playing") return "진행중";
+  if (status === "ended") return "종료";
+  return status;
+}
+
+function statBox(label, value) {
+  const box = document.createElement("div");
+  box.className = "player";
+  const name = document.createElement("div");
+  name.className = "name";
+  name.textContent = label;
+  const meta = document.createElement("div");
+  meta.className = "meta";
+  meta.textContent = String(value);
+  box.append(name, meta);
+  return box;
+}
+
+function renderStats(stats) {
+  const wrap = $("stats");
+  wrap.innerHTML = "";
+  wrap.append(
+    statBox("회원", stats.users),
+    statBox("세션", stats.sessions),
+    statBox("게스트 세션", stats.guestSessions),
+    statBox("최근 15분 접속", stats.activeUsers),
+    statBox("로비 연결", stats.lobbyConnections)
+  );
+  for (const [game, g] of Object.entries(stats.games)) {
+    const label = GAME_LABELS[game] || game;
+    wrap.append(statBox(`${label} 방 (진행중)`, `${g.rooms} (${g.playing})`));
+    wrap.append(statBox(`${label} 플레이어 / 연결`, `${g.players} / ${g.connections}`));
+    wrap.append(statBox(`${label} 빠른 매칭 대기`, g.quickMatchWaiting));
+  }
+  $("updatedAt").textContent = `갱신: ${new Date().toLocaleTimeString()}`;
+}
+
+window.initAdminPage = async function initAdminPage() {
+  const me = await apiJson("/api/me");
+  if (!me.data?.user) {
+    location.href = "/login";
+    return;
+  }
+  if (!me.data.user.isAdmin) {
+    location.href = "/lobby";
+    return;
+  }
+  $("me").textContent = me.data.user.username;
+
+  let selected = null; // { game, code }
+
+  function roomPath(room) {
+    return `/api/admin/rooms/${encodeURIComponent(room.game)}/${encodeURIComponent(room.code)}`;
+  }
+
+  function renderRooms(rooms) {
+    const list = $("roomList");
+    list.innerHTML = "";
+    if (rooms.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "muted";
+      empty.textContent = "열린 방이 없습니다.";
+      list.append(empty);
+      return;
+    }
+    for (const r of rooms) {
+      const row = document.createElement("div");
+      row.className = "player";
+
+      const left = document.createElement("div");
+      left.className = "name";
+      left.textContent = `${GAME_LABELS[r.game] || r.game} · ${r.code} · ${r.hostUsername || "-"}`;
+
+      const right = document.createElement("div");
+      right.className = "meta";
+      const info = document.createElement("span");
+      const seats = r.capacity == null ? `${r.playerCount}명` : `${r.playerCount}/${r.capacity}명`;
+      info.textContent = `${seats} · 접속 ${r.onlineCount} · 연결 ${r.connectionCount} · ${roomStatusLabel(r.status)}`;
+      const open = document.createElement("button");
+      open.type = "button";
+      open.className = "primary";
+      open.textContent = "상세";
+      open.addEventListener("click", () => {
+        selected = { game: r.game, code: r.code };
+        loadDetail();
+      });
+      right.append(info, open);
+
+      row.append(left, right);
+      list.append(row);
+    }
+  }
+
+  function renderDetail(room) {
+    $("detailCard").hidden = false;
+    $("detailTitle").textContent = `${GAME_LABELS[room.game] || room.game} · ${room.code}`;
+    $("detailMeta").textContent =
+      `${roomStatusLabel(room.status)} · 생성 ${new Date(room.createdAt).toLocaleString()} · ` +
+      `이벤트 #${room.eventSeq} · 상태 v${room.stateVersion}`;
+
+    const wrap = $("detailPlayers");
+    wrap.innerHTML = "";
+    for (const p of room.players) {
+      const row = document.createElement("div");
+      row.className = "player";
+
+      const left = document.createElement("div");
+      left.className = "name";
+      let label = p.username;
+      if (p.userId === room.hostUserId) label += " (방장)";
+      if (p.isGuest) label += " (게스트)";
+      if (p.isBot) label += " (봇)";
+      left.textContent = label;
+
+      const right = document.createElement("div");
+      right.className = "meta";
+      const info = document.createElement("span");
+      info.textContent = p.isBot ? "" : p.online ? `온라인 · 연결 ${p.connections}` : "오프라인";
+      right.append(info);
+      if (!p.isBot) {
+        const kick = document.createElement("button");
+        kick.type = "button";
+        kick.className = "ghost";
+        kick.textContent = "내보내기";
+        kick.addEventListener("click", () => kickPlayer(room, p));
+        right.append(kick);
+      }
+
+      row.append(left, right);
+      wrap.append(row);
+    }
+    $("detailState").textContent = JSON.stringify(room.state, null, 2);
+  }
+
+  async function loadDetail() {
+    if (!selected) return;
+    const r = await apiJson(roomPath(selected));
+    if (!r.ok || !r.data?.ok) {
+      selected = null;
+      $("detailCard").hidden = true;
+      return;
+    }
+    renderDetail(r.data.room);
+  }
+
+  async function refresh() {
+    const [stats, rooms] = await Promise.all([apiJson("/api/admin/stats"), apiJson("/api/admin/rooms")]);
+    if (stats.status === 401 || stats.status === 403) {
+      location.href = "/lobby";
+      return;
+    }
+    if (stats.data?.ok) renderStats(stats.data.stats);
+    if (rooms.data?.ok) renderRooms(rooms.data.rooms);
+    await loadDetail();
+  }
+
+  async function kickPlayer(room, player) {
+    if (!confirm(`${player.username} 님을 ${room.code} 방에서 내보낼까요?`)) return;
+    const r = await apiJson(`${roomPath(room)}/kick`, { method: "POST", body: { userId: player.userId } });
+    if (!r.ok || !r.data?.ok) {
+      setMsg("내보내기 실패", "error");
+      return;
+    }
+    setMsg(`${player.username} 님을 내보냈습니다.`, "ok");
+    await refresh();
+  }
+
+  function renderUsers(users) {
+    const list = $("userList");
+    list.innerHTML = "";
+    for (const u of users) {
+      const row = document.createElement("div");
+      row.className = "player";
+
+      const left = document.createElement("div");
+      left.className = "name";
+      let label = `#${u.userId} ${u.username}`;
+      if (u.isAdmin) label += " (운영자)";
+      if (u.bannedAt) label += ` (이용 제한${u.banReason ? `: ${u.banReason}` : ""})`;
+      left.textContent = label;
+
+      const right = document.createElement("div");
+      right.className = "meta";
+      const info = document.createElement("span");
+      info.textContent = `세션 ${u.sessionCount}`;
+      right.append(info);
+      if (!u.isAdmin) {
+        const toggle = document.createElement("button");
+        toggle.type = "button";
+        toggle.className = u.bannedAt ? "good" : "ghost";
+        toggle.textContent = u.bannedAt ? "제한 해제" : "이용 제한";
+        toggle.addEventListener("click", () => (u.bannedAt ? unbanUser(u) : banUser(u)));
+        right.append(toggle);
+      }
+
+      row.append(left, right);
+      list.append(row);
+    }
+  }
+
+  async function loadUsers() {
+    const q = $("userSearch").value.trim();
+    const r = await apiJson(`/api/admin/users?${new URLSearchParams({ q })}`);
+    if (r.data?.ok) renderUsers(r.data.users);
+  }
+
+  async function banUser(user) {
+    const reason = prompt(`${user.username} 님의 이용을 제한합니다. 사유를 입력하세요.`, "");
+    if (reason === null) return;
+    const r = await apiJson(`/api/admin/users/${user.userId}/ban`, { method: "POST", body: { reason } });
+    if (!r.ok || !r.data?.ok) {
+      setMsg("이용 제한 실패", "error");
+      return;
+    }
+    setMsg(`${user.username} 님의 이용을 제한했습니다. 모든 방과 세션에서 내보냈습니다.`, "ok");
+    await Promise.all([loadUsers(), refresh()]);
+  }
+
+  async function unbanUser(user) {
+    const r = await apiJson(`/api/admin/users/${user.userId}/unban`, { method: "POST" });
+    if (!r.ok || !r.data?.ok) {
+      setMsg("제한 해제 실패", "error");
+      return;
+    }
+    setMsg(`${user.username} 님의 제한을 해제했습니다.`, "ok");
+    await loadUsers();
+  }
+
+  let searchTimer = null;
+  $("userSearch").addEventListener("input", () => {
+    if (searchTimer) clearTimeout(searchTimer);
+    searchTimer = setTimeout(loadUsers, 250);
+  });
+
+  $("closeRoom").addEventListener("click", async () => {
+    if (!selected) return;
+    const { code } = selected;
+    if (!confirm(`${code} 방을 닫을까요? 참가자 모두 방에서 나가게 됩니다.`)) return;
+    const r = await apiJson(`${roomPath(selected)}/close`, { method: "POST" });
+    if (!r.ok || !r.data?.ok) {
+      setMsg("방 닫기 실패", "error");
+      return;
+    }
+    setMsg(`${code} 방을 닫았습니다.`, "ok");
+    await refresh();
+  });
+
+  await Promise.all([refresh(), loadUsers()]);
+  window.setInterval(refresh, REFRESH_MS);
+};
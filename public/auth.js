@@ -1,11 +1,23 @@
-async function apiJson(url, { method = "GET", body } = {}) {
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
   const res = await fetch(url, {
     method,
-    headers: body ? { "Content-Type": "application/json" } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
     credentials: "same-origin",
   });
   const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
   return { ok: res.ok, status: res.status, data };
 }
 
@@ -21,17 +33,55 @@ window.initLoginPage = function initLoginPage() {
     e.preventDefault();
     setMsg(msg, "", "");
     const username = document.getElementById("username").value;
-    const r = await apiJson("/api/login", { method: "POST", body: { username } });
+    const password = document.getElementById("password").value;
+    const r = await apiJson("/api/login", { method: "POST", body: { username, password } });
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "username_length") setMsg(msg, "아이디는 2~20자로 입력해주세요.", "error");
+      else if (err === "invalid_credentials") setMsg(msg, "아이디 또는 비밀번호가 올바르지 않습니다.", "error");
+      else if (err === "account_banned") setMsg(msg, "이용이 제한된 계정입니다.", "error");
+      else if (err === "password_length") setMsg(msg, "비밀번호는 4자 이상으로 입력해주세요.", "error");
+      else if (err === "rate_limited") setMsg(msg, "시도가 너무 많습니다. 잠시 후 다시 시도해주세요.", "error");
       else setMsg(msg, "로그인 실패. 다시 시도해주세요.", "error");
       return;
     }
+    if (r.data.claimed) alert("이 아이디에 비밀번호가 등록되었습니다. 다음부터 같은 비밀번호로 로그인하세요.");
+    location.href = "/lobby";
+  });
+
+  document.getElementById("guest").addEventListener("click", async () => {
+    setMsg(msg, "", "");
+    const r = await apiJson("/api/guest", { method: "POST" });
+    if (!r.ok || !r.data?.ok) {
+      if (r.data?.error === "rate_limited") setMsg(msg, "시도가 너무 많습니다. 잠시 후 다시 시도해주세요.", "error");
+      else setMsg(msg, "게스트 입장 실패. 다시 시도해주세요.", "error");
+      return;
+    }
     location.href = "/lobby";
   });
 };
 
 window.initSignupPage = function initSignupPage() {
-  location.href = "/login";
+  const form = document.getElementById("signup-form");
+  const msg = document.getElementById("msg");
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    setMsg(msg, "", "");
+    const username = document.getElementById("username").value;
+    const password = document.getElementById("password").value;
+    const r = await apiJson("/api/signup", { method: "POST", body: { username, password } });
+    if (!r.ok || !r.data?.ok) {
+      const err = r.data?.error || "unknown";
+      if (err === "username_length") setMsg(msg, "아이디는 2~20자로 입력해주세요.", "error");
+      else if (err === "password_length") setMsg(msg, "비밀번호는 4자 이상으로 입력해주세요.", "error");
+      else if (err === "username_taken") setMsg(msg, "이미 사용 중인 아이디입니다.", "error");
+      else if (err === "username_reserved") setMsg(msg, "사용할 수 없는 아이디입니다.", "error");
+      else if (err === "username_blocked") setMsg(msg, "사용할 수 없는 아이디입니다.", "error");
+      else if (err === "username_invalid") setMsg(msg, "아이디에는 글자, 숫자, 공백과 _ - . 만 쓸 수 있습니다.", "error");
+      else if (err === "rate_limited") setMsg(msg, "시도가 너무 많습니다. 잠시 후 다시 시도해주세요.", "error");
+      else setMsg(msg, "회원가입 실패. 다시 시도해주세요.", "error");
+      return;
+    }
+    location.href = "/lobby";
+  });
 };
@@ -1,11 +1,23 @@
-async function apiJson(url, { method = "GET", body } = {}) {
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
   const res = await fetch(url, {
     method,
-    headers: body ? { "Content-Type": "application/json" } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
     credentials: "same-origin",
   });
   const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
   return { ok: res.ok, status: res.status, data };
 }
 
@@ -19,6 +31,42 @@ function setMsg(text, kind = "") {
   el.className = kind;
 }
 
+function renderOpenRooms(rooms) {
+  const list = $("roomList");
+  list.innerHTML = "";
+  if (rooms.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "muted";
+    empty.textContent = "참가할 수 있는 방이 없습니다.";
+    list.append(empty);
+    return;
+  }
+  for (const r of rooms) {
+    const row = document.createElement("div");
+    row.className = "player";
+
+    const left = document.createElement("div");
+    left.className = "name";
+    left.textContent = `${r.code} · ${r.hostUsername || "-"}`;
+
+    const right = document.createElement("div");
+    right.className = "meta";
+    const seats = document.createElement("span");
+    seats.textContent = `${r.settings.size}x${r.settings.size} · ${r.playerCount}/${r.capacity}명`;
+    const join = document.createElement("button");
+    join.type = "button";
+    join.className = "good";
+    join.textContent = "참가";
+    join.addEventListener("click", () => {
+      location.href = `/room/${encodeURIComponent(r.code)}`;
+    });
+    right.append(seats, join);
+
+    row.append(left, right);
+    list.append(row);
+  }
+}
+
 window.initBingoLobbyPage = async function initBingoLobbyPage() {
   const me = await apiJson("/api/me");
   if (!me.data?.user) {
@@ -36,14 +84,21 @@ window.initBingoLobbyPage = async function initBingoLobbyPage() {
     setMsg("", "");
     const size = Number($("size").value);
     const vsComputer = Boolean($("vsComputer")?.checked);
-    const r = await apiJson("/api/rooms", { method: "POST", body: { size, vsComputer } });
+    const password = $("roomPassword").value;
+    const r = await apiJson("/api/rooms", { method: "POST", body: { size, vsComputer, password } });
     if (!r.ok || !r.data?.ok) {
-      setMsg("방 만들기 실패. 다시 시도해주세요.", "error");
+      const err = r.data?.error || "unknown";
+      if (err === "too_many_rooms") setMsg("이미 방장인 방이 너무 많습니다. 기존 방을 정리해주세요.", "error");
+      else if (err === "rate_limited") setMsg("요청이 너무 많습니다. 잠시 후 다시 시도해주세요.", "error");
+      else if (err === "invalid_room_password") setMsg("방 비밀번호는 4자 이상이어야 합니다.", "error");
+      else setMsg("방 만들기 실패. 다시 시도해주세요.", "error");
       return;
     }
     location.href = `/room/${r.data.code}`;
   });
 
+  createQuickMatch({ game: "bingo", onMessage: setMsg });
+
   $("join").addEventListener("click", () => {
     setMsg("", "");
     const code = String($("code").value || "").trim().toUpperCase();
@@ -53,4 +108,10 @@ window.initBingoLobbyPage = async function initBingoLobbyPage() {
     }
     location.href = `/room/${encodeURIComponent(code)}`;
   });
+
+  const es = new EventSource("/sse/lobby?game=bingo&status=lobby&freeSeats=1");
+  es.addEventListener("rooms", (ev) => {
+    const data = JSON.parse(ev.data);
+    renderOpenRooms(data.rooms || []);
+  });
 };
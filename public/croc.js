@@ -1,11 +1,23 @@
-async function apiJson(url, { method = "GET", body } = {}) {
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
   const res = await fetch(url, {
     method,
-    headers: body ? { "Content-Type": "application/json" } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
     credentials: "same-origin",
   });
   const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
   return { ok: res.ok, status: res.status, data };
 }
 
@@ -35,7 +47,24 @@ window.initCrocPage = async function initCrocPage() {
 
   let roomState = null;
   let roomCode = "";
-  let es = null;
+  let link = null;
+  let spectating = false;
+  const chat = createRoomChat({ send: (text) => link.send("chat", { text }) });
+  const reactions = createRoomReactions({
+    send: (reaction) => link.send("react", { reaction }),
+    playersId: "crocPlayers",
+  });
+  const spectators = createSpectatorPanel({ send: (allow) => link.send("spectators", { allow }) });
+  const rematch = createRematchPanel({ send: (accept) => link.send("rematch", { accept }), onMessage: setMsg });
+  const readyPanel = createReadyPanel({
+    send: (command, body) => link.send(command, body),
+    onMessage: setMsg,
+    startSettings: () => ({ toothCountPerJaw: Number($("toothCount").value), loserFirst: $("loserFirst").checked }),
+    settingInputs: [$("toothCount"), $("loserFirst")],
+  });
+  const hostActions = createHostActions({ send: (command, body) => link.send(command, body), onMessage: setMsg });
+  const inviteButton = createInviteButton({ send: () => link.send("invite"), onMessage: setMsg });
+  createQuickMatch({ game: "croc", onMessage: setMsg });
   let prevEnded = false;
   const previewState = {
     status: "preview",
@@ -78,22 +107,36 @@ window.initCrocPage = async function initCrocPage() {
   }
 
   function closeStream() {
-    if (es) {
-      es.close();
-      es = null;
+    if (link) {
+      link.close();
+      link = null;
     }
   }
 
   function openStream(code) {
     closeStream();
-    es = new EventSource(`/sse/croc/${encodeURIComponent(code)}`);
-    es.addEventListener("state", (ev) => {
-      const data = JSON.parse(ev.data);
-      applyState(data);
+    link = openRoomLink({
+      game: "croc",
+      code,
+      apiPath: "/api/croc/rooms",
+      ssePath: "/sse/croc/",
+      onEvent: (event, data) => {
+        if (event === "state") applyState(data);
+        else if (event === "closed" || event === "kicked") {
+          closeStream();
+          resetRoom();
+          setMsg(roomGoneMessage(event, data), "error");
+        } else {
+          chat.handle(event, data);
+          reactions.handle(event, data);
+        }
+      },
+      onTrouble: () => {
+        setMsg("연결이 불안정합니다. 자동 재연결 중...", "muted");
+      },
     });
-    es.onerror = () => {
-      setMsg("연결이 불안정합니다. 자동 재연결 중...", "muted");
-    };
+    chat.show();
+    if (!spectating) reactions.show();
   }
 
   function renderPlayers(state) {
@@ -103,10 +146,12 @@ window.initCrocPage = async function initCrocPage() {
     for (const p of players) {
       const row = document.createElement("div");
       row.className = "player";
+      row.dataset.userId = String(p.userId);
 
       const left = document.createElement("div");
       left.className = "name";
-      left.textContent = p.username + (p.userId === state.hostUserId ? " (방장)" : "");
+      left.textContent =
+        p.username + (p.userId === state.hostUserId ? " (방장)" : "") + (p.isGuest ? " (게스트)" : "");
 
       const right = document.createElement("div");
       right.className = "meta";
@@ -118,6 +163,11 @@ window.initCrocPage = async function initCrocPage() {
       else if (state.status === "ended" && state.winnerUserId === p.userId) tag.textContent = "승리";
       else tag.textContent = p.online ? "online" : "offline";
       right.append(dot, tag);
+      const away = awayBadge(state, p.userId);
+      if (away) right.append(away);
+      const ready = readyBadge(state, p);
+      if (ready) right.append(ready);
+      hostActions.decorate(right, state, p, me.userId);
 
       row.append(left, right);
       wrap.append(row);
@@ -155,11 +205,8 @@ window.initCrocPage = async function initCrocPage() {
       if (state.status !== "playing" || !myTurn || selected.has(tooth)) btn.disabled = true;
 
       btn.addEventListener("click", async () => {
-        if (!roomCode) return;
-        const r = await apiJson(`/api/croc/rooms/${encodeURIComponent(roomCode)}/pick`, {
-          method: "POST",
-          body: { tooth },
-        });
+        if (!link) return;
+        const r = await link.send("pick", { tooth });
         if (!r.ok || !r.data?.ok) {
           const err = r.data?.error || "unknown";
           if (err === "not_your_turn") setMsg("아직 내 차례가 아닙니다.", "error");
@@ -216,13 +263,22 @@ window.initCrocPage = async function initCrocPage() {
     renderPlayers(state);
     renderTeeth(state);
     renderTurn(state);
+    spectators.render(state, me.userId);
+    hostActions.notice(state, me.userId);
+    rematch.render(state, me.userId);
+    inviteButton.render(state, me.userId);
+    readyPanel.render(state, me.userId);
     const totalTeeth = Number(state.toothCountPerJaw || 20) * 2;
     $("toothSummary").textContent = `${totalTeeth}개 이빨 중 1개는 함정`;
 
     const isHost = state.hostUserId === me.userId;
     $("startCroc").style.display = isHost ? "inline-flex" : "none";
-    $("startCroc").disabled = state.status !== "lobby";
-    $("toothCount").disabled = !isHost || state.status !== "lobby";
+    $("startCroc").disabled = state.status === "playing";
+    $("startCroc").textContent = state.status === "ended" ? "다시 시작" : "게임 시작";
+    $("toothCount").disabled = !isHost || state.status === "playing";
+    $("loserFirstRow").hidden = !isHost;
+    $("loserFirst").disabled = state.status === "playing";
+    if (state.status === "playing") $("loserFirst").checked = Boolean(state.loserFirst);
     if (state.status === "lobby") $("toothCount").value = String(state.toothCountPerJaw || 20);
 
     const mouthClosed = state.status === "ended" && state.loserUserId != null;
@@ -231,6 +287,25 @@ window.initCrocPage = async function initCrocPage() {
     prevEnded = mouthClosed;
   }
 
+  function resetRoom() {
+    chat.reset();
+    reactions.reset();
+    spectators.reset();
+    hostActions.reset();
+    rematch.reset();
+    inviteButton.reset();
+    readyPanel.reset();
+    spectating = false;
+    roomCode = "";
+    roomState = null;
+    $("crocCode").value = "";
+    $("crocPlayers").innerHTML = "";
+    $("startCroc").style.display = "none";
+    $("loserFirstRow").hidden = true;
+    resetPreviewMouth();
+    renderTurn(null);
+  }
+
   function resetPreviewMouth() {
     renderTeeth(previewState);
     $("toothSummary").textContent = "40개 이빨 중 1개는 함정";
@@ -238,25 +313,35 @@ window.initCrocPage = async function initCrocPage() {
     prevEnded = false;
   }
 
-  async function joinRoom(code) {
-    const r = await apiJson(`/api/croc/rooms/${encodeURIComponent(code)}/join`, { method: "POST" });
+  async function joinRoom(code, { watch = false, invite = "" } = {}) {
+    const entered = await enterRoom(`/api/croc/rooms/${encodeURIComponent(code)}`, { watch, invite });
+    const r = entered.r;
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "room_not_found") setMsg("방을 찾을 수 없습니다.", "error");
       else if (err === "room_not_joinable") setMsg("이미 시작된 방입니다.", "error");
+      else if (err === "spectators_disabled") setMsg("관전이 허용되지 않은 방입니다.", "error");
+      else if (err === "banned_from_room") setMsg("이 방에서 차단되어 들어갈 수 없습니다.", "error");
+      else if (err === "password_required" || err === "invite_invalid") setMsg("비밀번호가 필요한 방입니다.", "error");
+      else if (err === "wrong_password") setMsg("비밀번호가 맞지 않습니다.", "error");
       else setMsg("방 참가 실패", "error");
       return;
     }
     roomCode = code;
+    spectating = entered.spectating;
     applyState(r.data.room);
     openStream(code);
-    setMsg("악어방 참가 완료", "ok");
+    setMsg(spectating ? "악어방 관전 중입니다." : "악어방 참가 완료", "ok");
   }
 
   $("createCroc").addEventListener("click", async () => {
-    const r = await apiJson("/api/croc/rooms", { method: "POST" });
+    const r = await apiJson("/api/croc/rooms", { method: "POST", body: { password: $("crocPassword").value } });
     if (!r.ok || !r.data?.ok) {
-      setMsg("방 생성 실패", "error");
+      const err = r.data?.error || "unknown";
+      if (err === "too_many_rooms") setMsg("이미 방장인 방이 너무 많습니다. 기존 방을 정리해주세요.", "error");
+      else if (err === "rate_limited") setMsg("요청이 너무 많습니다. 잠시 후 다시 시도해주세요.", "error");
+      else if (err === "invalid_room_password") setMsg("방 비밀번호는 4자 이상이어야 합니다.", "error");
+      else setMsg("방 생성 실패", "error");
       return;
     }
     await joinRoom(r.data.code);
@@ -278,27 +363,19 @@ window.initCrocPage = async function initCrocPage() {
     }
     await apiJson(`/api/croc/rooms/${encodeURIComponent(roomCode)}/leave`, { method: "POST" });
     closeStream();
-    roomCode = "";
-    roomState = null;
-    $("crocCode").value = "";
-    $("crocPlayers").innerHTML = "";
-    $("startCroc").style.display = "none";
-    resetPreviewMouth();
-    renderTurn(null);
+    resetRoom();
     setMsg("방에서 나왔습니다.", "ok");
   });
 
   $("startCroc").addEventListener("click", async () => {
-    if (!roomCode) return;
+    if (!link) return;
     const toothCountPerJaw = Number($("toothCount").value);
-    const r = await apiJson(`/api/croc/rooms/${encodeURIComponent(roomCode)}/start`, {
-      method: "POST",
-      body: { toothCountPerJaw },
-    });
+    const r = await link.send("start", { toothCountPerJaw, loserFirst: $("loserFirst").checked });
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "need_two_players") setMsg("최소 2명이 필요합니다.", "error");
       else if (err === "host_only") setMsg("방장만 시작할 수 있습니다.", "error");
+      else if (err === "players_not_ready") setMsg("아직 준비하지 않은 참가자가 있습니다.", "error");
       else if (err === "invalid_tooth_count_per_jaw") setMsg("이빨 수는 8~20 사이만 가능합니다.", "error");
       else setMsg("게임 시작 실패", "error");
     }
@@ -307,4 +384,8 @@ window.initCrocPage = async function initCrocPage() {
   resetPreviewMouth();
   renderTurn(null);
   setMsg("악어방을 만들거나 코드로 참가하세요.", "muted");
+
+  const params = new URLSearchParams(location.search);
+  const linkedCode = String(params.get("code") || "").trim().toUpperCase();
+  if (linkedCode) await joinRoom(linkedCode, { watch: params.has("watch"), invite: params.get("invite") || "" });
 };
@@ -1,11 +1,23 @@
-async function apiJson(url, { method = "GET", body } = {}) {
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
   const res = await fetch(url, {
     method,
-    headers: body ? { "Content-Type": "application/json" } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
     credentials: "same-origin",
   });
   const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
   return { ok: res.ok, status: res.status, data };
 }
 
@@ -142,7 +154,24 @@ window.initGomokuPage = async function initGomokuPage() {
   let mode = "bot";
   let roomCode = "";
   let roomState = null;
-  let es = null;
+  let link = null;
+  let spectating = false;
+  const chat = createRoomChat({ send: (text) => link.send("chat", { text }) });
+  const reactions = createRoomReactions({
+    send: (reaction) => link.send("react", { reaction }),
+    playersId: "gomokuPlayers",
+  });
+  const spectators = createSpectatorPanel({ send: (allow) => link.send("spectators", { allow }) });
+  const rematch = createRematchPanel({ send: (accept) => link.send("rematch", { accept }), onMessage: setMsg });
+  const readyPanel = createReadyPanel({
+    send: (command, body) => link.send(command, body),
+    onMessage: setMsg,
+    startSettings: () => ({ loserFirst: $("loserFirst").checked }),
+    settingInputs: [$("loserFirst")],
+  });
+  const hostActions = createHostActions({ send: (command, body) => link.send(command, body), onMessage: setMsg });
+  const inviteButton = createInviteButton({ send: () => link.send("invite"), onMessage: setMsg });
+  createQuickMatch({ game: "gomoku", onMessage: setMsg });
   let botTimer = null;
 
   const botState = {
@@ -162,9 +191,9 @@ window.initGomokuPage = async function initGomokuPage() {
   }
 
   function closeStream() {
-    if (!es) return;
-    es.close();
-    es = null;
+    if (!link) return;
+    link.close();
+    link = null;
   }
 
   function playerStoneInRoom(state) {
@@ -204,10 +233,12 @@ window.initGomokuPage = async function initGomokuPage() {
     for (const p of list) {
       const row = document.createElement("div");
       row.className = "player";
+      row.dataset.userId = String(p.userId);
       const left = document.createElement("div");
       left.className = "name";
       let label = `${p.username} · ${stoneLabel(p.stone)}`;
       if (p.userId === roomState.hostUserId) label += " (방장)";
+      if (p.isGuest) label += " (게스트)";
       if (roomState.status === "playing" && p.userId === roomState.turnUserId) label += " · 현재 차례";
       left.textContent = label;
       const right = document.createElement("div");
@@ -215,6 +246,11 @@ window.initGomokuPage = async function initGomokuPage() {
       const dot = document.createElement("span");
       dot.className = "dot" + (p.online ? " on" : "");
       right.append(dot);
+      const away = awayBadge(roomState, p.userId);
+      if (away) right.append(away);
+      const ready = readyBadge(roomState, p);
+      if (ready) right.append(ready);
+      hostActions.decorate(right, roomState, p, me.userId);
       row.append(left, right);
       wrap.append(row);
     }
@@ -331,15 +367,12 @@ window.initGomokuPage = async function initGomokuPage() {
       return;
     }
 
-    if (!roomCode || !roomState) return;
+    if (!link || !roomState) return;
     if (roomState.status !== "playing") return;
     if (roomState.turnUserId !== me.userId) return;
     if (roomState.board[index]) return;
 
-    const r = await apiJson(`/api/gomoku/rooms/${encodeURIComponent(roomCode)}/move`, {
-      method: "POST",
-      body: { index },
-    });
+    const r = await link.send("move", { index });
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "not_your_turn") setMsg("아직 내 차례가 아닙니다.", "error");
@@ -403,20 +436,38 @@ window.initGomokuPage = async function initGomokuPage() {
 
     const isHost = state.hostUserId === me.userId;
     $("startGomoku").style.display = isHost ? "inline-flex" : "none";
-    $("startGomoku").disabled = state.status !== "lobby" || state.players.length !== 2;
+    $("startGomoku").disabled = state.status === "playing" || state.players.length !== 2;
+    $("startGomoku").textContent = state.status === "ended" ? "다시 대국" : "대국 시작";
+    $("loserFirstRow").hidden = !isHost;
+    $("loserFirst").disabled = state.status === "playing";
+    if (state.status === "playing") $("loserFirst").checked = Boolean(state.loserFirst);
 
     renderPlayers();
     renderTurnBanner();
     renderBoard();
+    spectators.render(state, me.userId);
+    hostActions.notice(state, me.userId);
+    rematch.render(state, me.userId);
+    inviteButton.render(state, me.userId);
+    readyPanel.render(state, me.userId);
   }
 
   function resetPvpState() {
+    chat.reset();
+    reactions.reset();
+    spectators.reset();
+    hostActions.reset();
+    rematch.reset();
+    inviteButton.reset();
+    readyPanel.reset();
+    spectating = false;
     roomCode = "";
     roomState = null;
     $("gomokuCode").value = "";
     $("gomokuMyStone").textContent = "-";
     updateStatusText("대기");
     $("startGomoku").style.display = "none";
+    $("loserFirstRow").hidden = true;
     renderPlayers();
     renderTurnBanner();
     renderBoard();
@@ -424,12 +475,26 @@ window.initGomokuPage = async function initGomokuPage() {
 
   function openStream(code) {
     closeStream();
-    es = new EventSource(`/sse/gomoku/${encodeURIComponent(code)}`);
-    es.addEventListener("state", (ev) => {
-      const state = JSON.parse(ev.data);
-      applyRoomState(state);
+    link = openRoomLink({
+      game: "gomoku",
+      code,
+      apiPath: "/api/gomoku/rooms",
+      ssePath: "/sse/gomoku/",
+      onEvent: (event, data) => {
+        if (event === "state") applyRoomState(data);
+        else if (event === "closed" || event === "kicked") {
+          closeStream();
+          resetPvpState();
+          setMsg(roomGoneMessage(event, data), "error");
+        } else {
+          chat.handle(event, data);
+          reactions.handle(event, data);
+        }
+      },
+      onTrouble: () => setMsg("연결이 불안정합니다. 자동 재연결 중...", "muted"),
     });
-    es.onerror = () => setMsg("연결이 불안정합니다. 자동 재연결 중...", "muted");
+    chat.show();
+    if (!spectating) reactions.show();
   }
 
   async function leaveCurrentPvp(silent = false) {
@@ -440,19 +505,25 @@ window.initGomokuPage = async function initGomokuPage() {
     if (!silent) setMsg("오목방에서 나왔습니다.", "ok");
   }
 
-  async function joinPvpRoom(code) {
-    const r = await apiJson(`/api/gomoku/rooms/${encodeURIComponent(code)}/join`, { method: "POST" });
+  async function joinPvpRoom(code, { watch = false, invite = "" } = {}) {
+    const entered = await enterRoom(`/api/gomoku/rooms/${encodeURIComponent(code)}`, { watch, invite });
+    const r = entered.r;
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "room_not_found") setMsg("방을 찾을 수 없습니다.", "error");
       else if (err === "room_full") setMsg("이미 2명이 참가중입니다.", "error");
       else if (err === "room_not_joinable") setMsg("이미 진행 중인 방입니다.", "error");
+      else if (err === "spectators_disabled") setMsg("관전이 허용되지 않은 방입니다.", "error");
+      else if (err === "banned_from_room") setMsg("이 방에서 차단되어 들어갈 수 없습니다.", "error");
+      else if (err === "password_required" || err === "invite_invalid") setMsg("비밀번호가 필요한 방입니다.", "error");
+      else if (err === "wrong_password") setMsg("비밀번호가 맞지 않습니다.", "error");
       else setMsg("방 참가 실패", "error");
       return;
     }
+    spectating = entered.spectating;
     applyRoomState(r.data.room);
     openStream(code);
-    setMsg("오목방 참가 완료", "ok");
+    setMsg(spectating ? "오목방 관전 중입니다." : "오목방 참가 완료", "ok");
   }
 
   async function setMode(nextMode) {
@@ -465,7 +536,10 @@ window.initGomokuPage = async function initGomokuPage() {
     const pvp = mode === "pvp";
     $("gomokuPvpControls").style.display = pvp ? "flex" : "none";
     $("newBotGame").style.display = pvp ? "none" : "inline-flex";
-    if (!pvp) $("startGomoku").style.display = "none";
+    if (!pvp) {
+      $("startGomoku").style.display = "none";
+      $("loserFirstRow").hidden = true;
+    }
 
     if (pvp) {
       setMsg("1:1 온라인 모드입니다. 방을 만들거나 참가하세요.", "muted");
@@ -483,9 +557,13 @@ window.initGomokuPage = async function initGomokuPage() {
 
   $("createGomoku").addEventListener("click", async () => {
     if (mode !== "pvp") return;
-    const r = await apiJson("/api/gomoku/rooms", { method: "POST" });
+    const r = await apiJson("/api/gomoku/rooms", { method: "POST", body: { password: $("gomokuPassword").value } });
     if (!r.ok || !r.data?.ok) {
-      setMsg("방 생성 실패", "error");
+      const err = r.data?.error || "unknown";
+      if (err === "too_many_rooms") setMsg("이미 방장인 방이 너무 많습니다. 기존 방을 정리해주세요.", "error");
+      else if (err === "rate_limited") setMsg("요청이 너무 많습니다. 잠시 후 다시 시도해주세요.", "error");
+      else if (err === "invalid_room_password") setMsg("방 비밀번호는 4자 이상이어야 합니다.", "error");
+      else setMsg("방 생성 실패", "error");
       return;
     }
     await joinPvpRoom(r.data.code);
@@ -510,12 +588,13 @@ window.initGomokuPage = async function initGomokuPage() {
   });
 
   $("startGomoku").addEventListener("click", async () => {
-    if (!roomCode || mode !== "pvp") return;
-    const r = await apiJson(`/api/gomoku/rooms/${encodeURIComponent(roomCode)}/start`, { method: "POST" });
+    if (!link || mode !== "pvp") return;
+    const r = await link.send("start", { loserFirst: $("loserFirst").checked });
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "need_two_players") setMsg("2명이 참가해야 시작할 수 있습니다.", "error");
       else if (err === "host_only") setMsg("방장만 시작할 수 있습니다.", "error");
+      else if (err === "players_not_ready") setMsg("아직 준비하지 않은 참가자가 있습니다.", "error");
       else setMsg("대국 시작 실패", "error");
       return;
     }
@@ -523,4 +602,12 @@ window.initGomokuPage = async function initGomokuPage() {
   });
 
   resetBotGame();
+
+  const params = new URLSearchParams(location.search);
+  const linkedCode = String(params.get("code") || "").trim().toUpperCase();
+  if (linkedCode) {
+    $("gomokuMode").value = "pvp";
+    await setMode("pvp");
+    await joinPvpRoom(linkedCode, { watch: params.has("watch"), invite: params.get("invite") || "" });
+  }
 };
@@ -1,11 +1,23 @@
-async function apiJson(url, { method = "GET", body } = {}) {
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
   const res = await fetch(url, {
     method,
-    headers: body ? { "Content-Type": "application/json" } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
     credentials: "same-origin",
   });
   const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
   return { ok: res.ok, status: res.status, data };
 }
 
@@ -19,13 +31,107 @@ function setMsg(text, kind = "") {
   el.className = kind;
 }
 
+const ROOM_GAMES = {
+  bingo: { label: "빙고", href: (code, watch) => `/room/${encodeURIComponent(code)}${watch ? "?watch=1" : ""}` },
+  memory: {
+    label: "메모리",
+    href: (code, watch) => `/memory?code=${encodeURIComponent(code)}${watch ? "&watch=1" : ""}`,
+  },
+  gomoku: {
+    label: "오목",
+    href: (code, watch) => `/gomoku?code=${encodeURIComponent(code)}${watch ? "&watch=1" : ""}`,
+  },
+  croc: {
+    label: "악어",
+    href: (code, watch) => `/croc?code=${encodeURIComponent(code)}${watch ? "&watch=1" : ""}`,
+  },
+};
+
+function roomStatusLabel(status) {
+  if (status === "lobby") return "대기중";
+  if (status === "playing") return "진행중";
+  if (status === "ended") return "종료";
+  return status;
+}
+
+function renderRoomList(rooms) {
+  const list = $("roomList");
+  list.innerHTML = "";
+  // Waiting rooms, plus games in progress that can be watched.
+  const visible = rooms.filter(
+    (r) => ROOM_GAMES[r.game] && (r.status === "lobby" || (r.status === "playing" && r.allowSpectators))
+  );
+  if (visible.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "muted";
+    empty.textContent = "지금 열린 방이 없습니다. 게임을 골라 방을 만들어보세요.";
+    list.append(empty);
+    return;
+  }
+  for (const r of visible) {
+    const game = ROOM_GAMES[r.game];
+    const row = document.createElement("div");
+    row.className = "player";
+
+    const left = document.createElement("div");
+    left.className = "name";
+    left.textContent = `${game.label} · ${r.code} · ${r.hostUsername || "-"}`;
+
+    const right = document.createElement("div");
+    right.className = "meta";
+    const seats = document.createElement("span");
+    seats.textContent =
+      r.capacity == null ? `${r.playerCount}명` : `${r.playerCount}/${r.capacity}명 · ${roomStatusLabel(r.status)}`;
+    const join = document.createElement("button");
+    join.type = "button";
+    join.className = "good";
+    join.textContent = "참가";
+    join.disabled = !r.joinable;
+    join.addEventListener("click", () => {
+      location.href = game.href(r.code);
+    });
+    right.append(seats, join);
+    if (!r.joinable && r.allowSpectators) {
+      const watch = document.createElement("button");
+      watch.type = "button";
+      watch.className = "ghost";
+      watch.textContent = r.spectatorCount > 0 ? `관전 (${r.spectatorCount})` : "관전";
+      watch.addEventListener("click", () => {
+        location.href = game.href(r.code, true);
+      });
+      right.append(watch);
+    }
+
+    row.append(left, right);
+    list.append(row);
+  }
+}
+
+function openRoomBrowser() {
+  let es = null;
+  const connect = () => {
+    if (es) es.close();
+    const game = $("roomGame").value || Object.keys(ROOM_GAMES).join(",");
+    const params = new URLSearchParams({ game });
+    es = new EventSource(`/sse/lobby?${params}`);
+    es.addEventListener("rooms", (ev) => {
+      const data = JSON.parse(ev.data);
+      renderRoomList(data.rooms || []);
+    });
+  };
+  $("roomGame").addEventListener("change", connect);
+  connect();
+}
+
 window.initLobbyPage = async function initLobbyPage() {
   const me = await apiJson("/api/me");
   if (!me.data?.user) {
     location.href = "/login";
     return;
   }
-  $("me").textContent = me.data.user.username;
+  const { username, avatar, isAdmin } = me.data.user;
+  $("me").textContent = avatar ? `${avatar} ${username}` : username;
+  $("adminLink").hidden = !isAdmin;
 
   $("logout").addEventListener("click", async () => {
     await apiJson("/api/logout", { method: "POST" });
@@ -55,4 +161,6 @@ window.initLobbyPage = async function initLobbyPage() {
       }
     });
   }
+
+  openRoomBrowser();
 };
@@ -1,11 +1,23 @@
-async function apiJson(url, { method = "GET", body } = {}) {
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
   const res = await fetch(url, {
     method,
-    headers: body ? { "Content-Type": "application/json" } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
     credentials: "same-origin",
   });
   const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
   return { ok: res.ok, status: res.status, data };
 }
 
@@ -86,22 +98,53 @@ window.initMemoryPage = async function initMemoryPage() {
 
   let roomCode = "";
   let roomState = null;
-  let es = null;
+  let link = null;
+  let spectating = false;
+  const chat = createRoomChat({ send: (text) => link.send("chat", { text }) });
+  const reactions = createRoomReactions({
+    send: (reaction) => link.send("react", { reaction }),
+    playersId: "memoryPlayers",
+  });
+  const spectators = createSpectatorPanel({ send: (allow) => link.send("spectators", { allow }) });
+  const rematch = createRematchPanel({ send: (accept) => link.send("rematch", { accept }), onMessage: setMsg });
+  const readyPanel = createReadyPanel({
+    send: (command, body) => link.send(command, body),
+    onMessage: setMsg,
+    startSettings: () => ({ cardCount: Number($("cardCount").value || 40) }),
+    settingInputs: [$("cardCount")],
+  });
+  const hostActions = createHostActions({ send: (command, body) => link.send(command, body), onMessage: setMsg });
+  const inviteButton = createInviteButton({ send: () => link.send("invite"), onMessage: setMsg });
+  createQuickMatch({ game: "memory", onMessage: setMsg });
 
   function closeStream() {
-    if (!es) return;
-    es.close();
-    es = null;
+    if (!link) return;
+    link.close();
+    link = null;
   }
 
   function openStream(code) {
     closeStream();
-    es = new EventSource(`/sse/memory/${encodeURIComponent(code)}`);
-    es.addEventListener("state", (ev) => {
-      const state = JSON.parse(ev.data);
-      applyState(state);
+    link = openRoomLink({
+      game: "memory",
+      code,
+      apiPath: "/api/memory/rooms",
+      ssePath: "/sse/memory/",
+      onEvent: (event, data) => {
+        if (event === "state") applyState(data);
+        else if (event === "closed" || event === "kicked") {
+          closeStream();
+          resetUI();
+          setMsg(roomGoneMessage(event, data), "error");
+        } else {
+          chat.handle(event, data);
+          reactions.handle(event, data);
+        }
+      },
+      onTrouble: () => setMsg("연결이 불안정합니다. 자동 재연결 중...", "muted"),
     });
-    es.onerror = () => setMsg("연결이 불안정합니다. 자동 재연결 중...", "muted");
+    chat.show();
+    if (!spectating) reactions.show();
   }
 
   function renderPlayers(state) {
@@ -111,11 +154,13 @@ window.initMemoryPage = async function initMemoryPage() {
     for (const p of players) {
       const row = document.createElement("div");
       row.className = "player";
+      row.dataset.userId = String(p.userId);
 
       const left = document.createElement("div");
       left.className = "name";
       let label = p.username;
       if (p.userId === state.hostUserId) label += " (방장)";
+      if (p.isGuest) label += " (게스트)";
       if (p.userId === state.turnUserId && state.status === "playing") label += " · 현재 차례";
       left.textContent = label;
 
@@ -126,6 +171,11 @@ window.initMemoryPage = async function initMemoryPage() {
       const score = document.createElement("span");
       score.textContent = `${p.score}점`;
       right.append(dot, score);
+      const away = awayBadge(state, p.userId);
+      if (away) right.append(away);
+      const ready = readyBadge(state, p);
+      if (ready) right.append(ready);
+      hostActions.decorate(right, state, p, me.userId);
 
       row.append(left, right);
       wrap.append(row);
@@ -226,11 +276,8 @@ window.initMemoryPage = async function initMemoryPage() {
       }
 
       btn.addEventListener("click", async () => {
-        if (!roomCode) return;
-        const r = await apiJson(`/api/memory/rooms/${encodeURIComponent(roomCode)}/pick`, {
-          method: "POST",
-          body: { index: cardState.index },
-        });
+        if (!link) return;
+        const r = await link.send("pick", { index: cardState.index });
         if (!r.ok || !r.data?.ok) {
           const err = r.data?.error || "unknown";
           if (err === "not_your_turn") setMsg("아직 내 차례가 아닙니다.", "error");
@@ -253,15 +300,29 @@ window.initMemoryPage = async function initMemoryPage() {
     renderTurn(state);
     renderPlayers(state);
     renderBoard(state);
+    spectators.render(state, me.userId);
+    hostActions.notice(state, me.userId);
+    rematch.render(state, me.userId);
+    inviteButton.render(state, me.userId);
+    readyPanel.render(state, me.userId);
 
     const isHost = state.hostUserId === me.userId;
     $("startMemory").style.display = isHost ? "inline-flex" : "none";
-    $("startMemory").disabled = state.status !== "lobby";
-    $("cardCount").disabled = !isHost || state.status !== "lobby";
+    $("startMemory").disabled = state.status === "playing";
+    $("startMemory").textContent = state.status === "ended" ? "다시 시작" : "게임 시작";
+    $("cardCount").disabled = !isHost || state.status === "playing";
     if (state.status === "lobby") $("cardCount").value = String(state.cardCount || 40);
   }
 
   function resetUI() {
+    chat.reset();
+    reactions.reset();
+    spectators.reset();
+    hostActions.reset();
+    rematch.reset();
+    inviteButton.reset();
+    readyPanel.reset();
+    spectating = false;
     roomCode = "";
     roomState = null;
     $("memoryCode").value = "";
@@ -279,26 +340,37 @@ window.initMemoryPage = async function initMemoryPage() {
     }, 120);
   });
 
-  async function joinRoom(code) {
-    const r = await apiJson(`/api/memory/rooms/${encodeURIComponent(code)}/join`, { method: "POST" });
+  async function joinRoom(code, { watch = false, invite = "" } = {}) {
+    const entered = await enterRoom(`/api/memory/rooms/${encodeURIComponent(code)}`, { watch, invite });
+    const r = entered.r;
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "room_not_found") setMsg("방을 찾을 수 없습니다.", "error");
       else if (err === "room_full") setMsg("방 인원이 가득 찼습니다.", "error");
       else if (err === "room_not_joinable") setMsg("이미 시작된 방입니다.", "error");
+      else if (err === "spectators_disabled") setMsg("관전이 허용되지 않은 방입니다.", "error");
+      else if (err === "banned_from_room") setMsg("이 방에서 차단되어 들어갈 수 없습니다.", "error");
+      else if (err === "password_required" || err === "invite_invalid") setMsg("비밀번호가 필요한 방입니다.", "error");
+      else if (err === "wrong_password") setMsg("비밀번호가 맞지 않습니다.", "error");
       else setMsg("방 참가 실패", "error");
       return;
     }
+    spectating = entered.spectating;
     applyState(r.data.room);
     openStream(code);
-    setMsg("메모리방 참가 완료", "ok");
+    setMsg(spectating ? "메모리방 관전 중입니다." : "메모리방 참가 완료", "ok");
   }
 
   $("createMemory").addEventListener("click", async () => {
     const cardCount = Number($("cardCount").value || 40);
-    const r = await apiJson("/api/memory/rooms", { method: "POST", body: { cardCount } });
+    const password = $("memoryPassword").value;
+    const r = await apiJson("/api/memory/rooms", { method: "POST", body: { cardCount, password } });
     if (!r.ok || !r.data?.ok) {
-      setMsg("방 생성 실패", "error");
+      const err = r.data?.error || "unknown";
+      if (err === "too_many_rooms") setMsg("이미 방장인 방이 너무 많습니다. 기존 방을 정리해주세요.", "error");
+      else if (err === "rate_limited") setMsg("요청이 너무 많습니다. 잠시 후 다시 시도해주세요.", "error");
+      else if (err === "invalid_room_password") setMsg("방 비밀번호는 4자 이상이어야 합니다.", "error");
+      else setMsg("방 생성 실패", "error");
       return;
     }
     await joinRoom(r.data.code);
@@ -325,15 +397,13 @@ window.initMemoryPage = async function initMemoryPage() {
   });
 
   $("startMemory").addEventListener("click", async () => {
-    if (!roomCode) return;
+    if (!link) return;
     const cardCount = Number($("cardCount").value || 40);
-    const r = await apiJson(`/api/memory/rooms/${encodeURIComponent(roomCode)}/start`, {
-      method: "POST",
-      body: { cardCount },
-    });
+    const r = await link.send("start", { cardCount });
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "host_only") setMsg("방장만 시작할 수 있습니다.", "error");
+      else if (err === "players_not_ready") setMsg("아직 준비하지 않은 참가자가 있습니다.", "error");
       else if (err === "invalid_card_count") setMsg("카드 수는 20/30/40/50/60만 가능합니다.", "error");
       else setMsg("게임 시작 실패", "error");
     }
@@ -343,4 +413,8 @@ window.initMemoryPage = async function initMemoryPage() {
 
   resetUI();
   setMsg("메모리방을 만들거나 코드로 참가하세요.", "muted");
+
+  const params = new URLSearchParams(location.search);
+  const linkedCode = String(params.get("code") || "").trim().toUpperCase();
+  if (linkedCode) await joinRoom(linkedCode, { watch: params.has("watch"), invite: params.get("invite") || "" });
 };
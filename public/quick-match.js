@@ -0,0 +1,87 @@
+// "Quick match" button (`#quickMatch`, with `#quickMatchStatus` next to it). While the stream to
+// `/sse/quick-match` is open the server keeps us in that game's queue; once it has grouped players into a
+// started room it sends everyone there.
+function quickMatchText(s, now) {
+  const eta =
+    s.matchAt == null
+      ? "상대를 기다리는 중"
+      : `약 ${Math.max(0, Math.ceil((s.matchAt - now) / 1000))}초 후 시작`;
+  return `빠른 매칭 ${s.position}번째 (대기 ${s.waiting}명 · 최대 ${s.groupSize}명) · ${eta}`;
+}
+
+function createQuickMatch({ game, onMessage }) {
+  const btn = document.getElementById("quickMatch");
+  const status = document.getElementById("quickMatchStatus");
+  let es = null;
+  let ticker = null;
+  let last = null; // latest `queue` status, with `matchAt` worked out locally
+
+  function render() {
+    status.textContent = last ? quickMatchText(last, Date.now()) : "";
+  }
+
+  function stop() {
+    if (es) es.close();
+    es = null;
+    if (ticker) window.clearInterval(ticker);
+    ticker = null;
+    last = null;
+    btn.textContent = "빠른 매칭";
+    render();
+  }
+
+  async function enqueue() {
+    const r = await apiJson("/api/quick-match", { method: "POST", body: { game } });
+    if (!r.ok || !r.data?.ok) {
+      stop();
+      onMessage("빠른 매칭을 시작하지 못했습니다.", "error");
+    }
+  }
+
+  function start() {
+    btn.textContent = "매칭 취소";
+    status.textContent = "빠른 매칭 준비 중...";
+    es = new EventSource("/sse/quick-match");
+    let first = true;
+    es.addEventListener("queue", (ev) => {
+      const s = JSON.parse(ev.data);
+      // The stream opens with our current status; only then may we join the queue.
+      if (first) {
+        first = false;
+        if (!s.queued || s.game !== game) {
+          enqueue();
+          return;
+        }
+      }
+      if (!s.queued) {
+        stop();
+        if (s.error) onMessage("매칭된 방을 만들지 못했습니다. 다시 시도해주세요.", "error");
+        else onMessage("빠른 매칭이 취소되었습니다.", "muted");
+        return;
+      }
+      last = { ...s, matchAt: s.etaSeconds == null ? null : Date.now() + s.etaSeconds * 1000 };
+      render();
+      if (!ticker) ticker = window.setInterval(render, 1000);
+    });
+    es.addEventListener("matched", (ev) => {
+      const { url } = JSON.parse(ev.data);
+      stop();
+      onMessage("매칭되었습니다. 방으로 이동합니다.", "ok");
+      location.href = url;
+    });
+  }
+
+  btn.addEventListener("click", async () => {
+    if (!es) {
+      start();
+      return;
+    }
+    stop();
+    await apiJson("/api/quick-match/cancel", { method: "POST" });
+    onMessage("빠른 매칭을 취소했습니다.", "muted");
+  });
+
+  window.addEventListener("beforeunload", () => {
+    if (es) es.close();
+  });
+}
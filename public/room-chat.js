@@ -0,0 +1,82 @@
+// Chat panel shared by the room pages (`#chatCard` in the view). Messages arrive as the room link's
+// `chat` / `chatHistory` events; `send(text)` goes out through the same link.
+const CHAT_MAX_LENGTH = 200;
+
+function createRoomChat({ send }) {
+  const card = document.getElementById("chatCard");
+  const log = document.getElementById("chatLog");
+  const form = document.getElementById("chatForm");
+  const input = document.getElementById("chatInput");
+  const msg = document.getElementById("chatMsg");
+  const seen = new Set(); // message ids already shown; replays after a reconnect repeat some
+
+  input.maxLength = CHAT_MAX_LENGTH;
+
+  function setMsg(text) {
+    msg.textContent = text || "";
+    msg.className = text ? "error" : "";
+  }
+
+  function append(m) {
+    if (seen.has(m.id)) return;
+    seen.add(m.id);
+    const stick = log.scrollTop + log.clientHeight >= log.scrollHeight - 8;
+
+    const row = document.createElement("div");
+    row.className = "chat-line";
+    const name = document.createElement("b");
+    name.textContent = m.username;
+    const text = document.createElement("span");
+    text.textContent = m.text;
+    const at = document.createElement("time");
+    at.className = "muted";
+    at.dateTime = m.at;
+    at.textContent = new Date(m.at).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    row.append(name, text, at);
+    log.append(row);
+
+    while (log.childElementCount > 100) log.firstElementChild.remove();
+    if (stick) log.scrollTop = log.scrollHeight;
+  }
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (!text) return;
+    setMsg("");
+    const r = await send(text);
+    if (!r.ok || !r.data?.ok) {
+      const err = r.data?.error || "unknown";
+      if (err === "rate_limited") setMsg("메시지를 너무 빨리 보내고 있습니다. 잠시 후 다시 시도해주세요.");
+      else if (err === "chat_too_long") setMsg(`메시지는 ${CHAT_MAX_LENGTH}자까지 보낼 수 있습니다.`);
+      else setMsg("메시지 전송 실패");
+      return;
+    }
+    input.value = "";
+  });
+
+  return {
+    // Feed every non-state event from the room link here.
+    handle(event, data) {
+      if (event === "chatHistory") {
+        log.innerHTML = "";
+        seen.clear();
+        for (const m of data.messages) append(m);
+      } else if (event === "chat") {
+        append(data);
+      }
+    },
+
+    show() {
+      card.hidden = false;
+    },
+
+    reset() {
+      card.hidden = true;
+      log.innerHTML = "";
+      seen.clear();
+      input.value = "";
+      setMsg("");
+    },
+  };
+}
@@ -0,0 +1,68 @@
+// What the host can do from the players list (hand over the host role, kick, ban from the room), and a
+// notice when the role moves. `send(command, body)` is the page's `link.send`; `onMessage(text, kind)`
+// its status line.
+function hostActionError(err) {
+  if (err === "host_only") return "방장만 할 수 있습니다.";
+  if (err === "player_not_found") return "방에 없는 참가자입니다.";
+  if (err === "cannot_kick_self") return "자기 자신은 내보낼 수 없습니다.";
+  return "요청을 처리하지 못했습니다.";
+}
+
+function createHostActions({ send, onMessage }) {
+  let lastHost = null; // `${code}:${hostUserId}` from the previous state
+
+  async function transfer(player) {
+    if (!confirm(`${player.username} 님에게 방장을 넘길까요?`)) return;
+    const r = await send("transfer-host", { userId: player.userId });
+    if (!r.ok || !r.data?.ok) onMessage(hostActionError(r.data?.error), "error");
+  }
+
+  async function remove(player, ban) {
+    const question = ban
+      ? `${player.username} 님을 내보내고 이 방에 다시 들어오지 못하게 할까요?`
+      : `${player.username} 님을 방에서 내보낼까요?`;
+    if (!confirm(question)) return;
+    const r = await send(ban ? "ban" : "kick", { userId: player.userId });
+    if (!r.ok || !r.data?.ok) onMessage(hostActionError(r.data?.error), "error");
+    else onMessage(`${player.username} 님을 ${ban ? "차단했습니다" : "내보냈습니다"}.`, "ok");
+  }
+
+  function button(label, onClick) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "ghost host-action";
+    btn.textContent = label;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  return {
+    // Adds the host's buttons to a player's `.meta`; nothing on the host's own row or a bot's.
+    decorate(meta, state, player, meUserId) {
+      if (state.hostUserId !== meUserId || player.userId === meUserId || player.isBot) return;
+      meta.append(
+        button("방장 넘기기", () => transfer(player)),
+        button("내보내기", () => remove(player, false)),
+        button("차단", () => remove(player, true))
+      );
+    },
+
+    // Call with every state; tells the page when the host changed within the same room.
+    notice(state, meUserId) {
+      const key = `${state.code}:${state.hostUserId}`;
+      const prev = lastHost;
+      lastHost = key;
+      if (!prev || prev === key || !prev.startsWith(`${state.code}:`)) return;
+      if (state.hostUserId === meUserId) {
+        onMessage("이제 내가 방장입니다.", "ok");
+        return;
+      }
+      const host = state.players.find((p) => p.userId === state.hostUserId);
+      if (host) onMessage(`${host.username} 님이 방장이 되었습니다.`, "ok");
+    },
+
+    reset() {
+      lastHost = null;
+    },
+  };
+}
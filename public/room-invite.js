@@ -0,0 +1,99 @@
+// "Copy invite link" button (`#copyInvite` in the view) for players in a room. The server signs a link that
+// lets people into a private room without its password until it expires. `enterRoom()` below is how pages get in,
+// with that link or with the password typed into `#enterPasswordForm`.
+function createInviteButton({ send, onMessage }) {
+  const btn = document.getElementById("copyInvite");
+
+  btn.addEventListener("click", async () => {
+    const r = await send();
+    if (!r.ok || !r.data?.ok) {
+      onMessage("초대 링크를 만들지 못했습니다.", "error");
+      return;
+    }
+    const url = `${location.origin}${r.data.url}`;
+    const hours = Math.max(1, Math.round((r.data.expiresAt - Date.now()) / 3600000));
+    try {
+      await navigator.clipboard.writeText(url);
+      onMessage(`초대 링크를 복사했습니다. (${hours}시간 동안 사용 가능)`, "ok");
+    } catch {
+      // No clipboard access (plain http, or permission denied): let them copy it by hand.
+      prompt("초대 링크를 복사하세요.", url);
+    }
+  });
+
+  return {
+    render(state, meUserId) {
+      btn.hidden = !state.players.some((p) => p.userId === meUserId);
+    },
+
+    reset() {
+      btn.hidden = true;
+    },
+  };
+}
+
+function roomPasswordPrompt(err) {
+  if (err === "wrong_password") return "비밀번호가 맞지 않습니다. 다시 입력하세요.";
+  if (err === "invite_invalid") return "초대 링크가 만료되었습니다. 방 비밀번호를 입력하세요.";
+  return "비공개 방입니다. 비밀번호를 입력하세요.";
+}
+
+let cancelPasswordAsk = null; // the form's open request, if any
+
+// Shows the view's `#enterPasswordForm` with `message`; resolves to what was typed, or null on "cancel" (or when
+// another room is tried meanwhile).
+function askRoomPassword(message) {
+  if (cancelPasswordAsk) cancelPasswordAsk();
+  const form = document.getElementById("enterPasswordForm");
+  const input = document.getElementById("enterPassword");
+  const cancel = document.getElementById("enterPasswordCancel");
+  document.getElementById("enterPasswordMessage").textContent = message;
+  input.value = "";
+  form.hidden = false;
+  input.focus();
+
+  return new Promise((resolve) => {
+    function done(password) {
+      cancelPasswordAsk = null;
+      form.hidden = true;
+      form.removeEventListener("submit", onSubmit);
+      cancel.removeEventListener("click", onCancel);
+      resolve(password);
+    }
+    function onSubmit(ev) {
+      ev.preventDefault();
+      done(input.value);
+    }
+    function onCancel() {
+      done(null);
+    }
+    form.addEventListener("submit", onSubmit);
+    cancel.addEventListener("click", onCancel);
+    cancelPasswordAsk = onCancel;
+  });
+}
+
+async function tryEnterRoom(roomApi, watch, access) {
+  const post = (command) => apiJson(`${roomApi}/${command}`, { method: "POST", body: access });
+  const join = watch ? null : await post("join");
+  const joinErr = join ? join.data?.error : null;
+  if (!watch && joinErr !== "room_full" && joinErr !== "room_not_joinable") return { r: join, spectating: false };
+  const spectate = await post("spectate");
+  if (spectate.ok && spectate.data?.ok) return { r: spectate, spectating: true };
+  return { r: watch ? spectate : join, spectating: false };
+}
+
+// Takes a seat, or watches instead when asked to (`watch`) or when the room is full or already started.
+// A private room lets in an `invite` token from an invite link, or else asks for its password.
+// Resolves to `{ r, spectating }` where `r` is the `apiJson` result of whichever call decided it.
+async function enterRoom(roomApi, { watch = false, invite = "" } = {}) {
+  let access = invite ? { invite } : {};
+  for (;;) {
+    const entered = await tryEnterRoom(roomApi, watch, access);
+    const err = entered.r.data?.error;
+    if (err !== "password_required" && err !== "wrong_password" && err !== "invite_invalid") return entered;
+    const password = await askRoomPassword(roomPasswordPrompt(err));
+    if (password === null) return entered;
+    access = { password };
+  }
+}
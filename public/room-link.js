@@ -0,0 +1,228 @@
+// Live connection to one room. Prefers a WebSocket (state + commands on one socket) and falls back
+// to SSE for state and POST for commands when the upgrade is blocked (some proxies strip it).
+// `send()` resolves to the same `{ ok, status, data }` shape as the pages' `apiJson`, which also carries the
+// CSRF token on the POST fallback.
+
+// Mirror of `diffState()` in games/state-patch.js.
+function applyStatePatch(state, ops) {
+  for (const { op, path, value, values } of ops) {
+    let target = state;
+    for (let i = 0; i < path.length - 1; i++) target = target[path[i]];
+    const key = path[path.length - 1];
+    if (op === "set") target[key] = value;
+    else if (op === "push") target[key].push(...values);
+    else if (op === "del") delete target[key];
+  }
+}
+
+// Text for the `closed` / `kicked` events that end a page's stay in a room.
+function roomGoneMessage(event, data) {
+  if (event === "closed") return "운영자가 방을 닫았습니다.";
+  if (data?.reason === "spectators_disabled") return "방장이 관전을 막아 관전이 끝났습니다.";
+  if (data?.reason === "kicked_by_host") return "방장이 방에서 내보냈습니다.";
+  if (data?.reason === "banned_by_host") return "방장이 이 방에서 차단했습니다.";
+  if (data?.reason === "rematch_declined") return "다시 하기에 참여하지 않아 방에서 나왔습니다.";
+  if (data?.reason === "account_deleted") return "계정이 삭제되어 방에서 나왔습니다.";
+  if (data?.reason === "session_revoked") return "비밀번호가 바뀌어 이 기기에서 로그아웃되었습니다.";
+  return "방에서 내보내졌습니다.";
+}
+
+// Badge for a player row while they are offline mid-game (`state.away`) or after they forfeited. It counts
+// down to their turn being skipped when it is their turn, otherwise to the forfeit.
+let awayTicker = null;
+
+function refreshAwayBadge(el) {
+  const now = Date.now();
+  const secondsTo = (at) => Math.max(0, Math.ceil((at - now) / 1000));
+  const skipTurnAt = Number(el.dataset.skipTurnAt);
+  el.textContent =
+    el.dataset.turn === "1" && skipTurnAt > now
+      ? `연결 끊김 · ${secondsTo(skipTurnAt)}초 후 차례 넘김`
+      : `연결 끊김 · ${secondsTo(Number(el.dataset.forfeitAt))}초 후 기권`;
+}
+
+function awayBadge(state, userId) {
+  const el = document.createElement("span");
+  el.className = "away-badge";
+  if ((state.forfeitedUserIds || []).includes(userId)) {
+    el.textContent = "기권";
+    return el;
+  }
+  const away = (state.away || []).find((a) => a.userId === userId);
+  if (!away) return null;
+  el.dataset.skipTurnAt = String(away.skipTurnAt);
+  el.dataset.forfeitAt = String(away.forfeitAt);
+  el.dataset.turn = state.turnUserId === userId ? "1" : "0";
+  refreshAwayBadge(el);
+  if (!awayTicker) {
+    awayTicker = window.setInterval(() => {
+      const badges = document.querySelectorAll(".away-badge[data-forfeit-at]");
+      for (const badge of badges) refreshAwayBadge(badge);
+      if (badges.length === 0) {
+        window.clearInterval(awayTicker);
+        awayTicker = null;
+      }
+    }, 1000);
+  }
+  return el;
+}
+
+// "준비 완료" / "준비 중" next to a player while the room waits in its lobby.
+function readyBadge(state, player) {
+  if (state.status !== "lobby" || player.isBot) return null;
+  const ready = (state.readyUserIds || []).includes(player.userId);
+  const el = document.createElement("span");
+  el.className = ready ? "ready-badge on" : "ready-badge";
+  el.textContent = ready ? "준비 완료" : "준비 중";
+  return el;
+}
+
+// The server sends full `state` events now and then and `patch` events in between; pages only
+// ever see complete states through `onEvent("state", ...)`.
+function openRoomLink({ game, code, apiPath, ssePath, onEvent, onTrouble }) {
+  const roomPath = encodeURIComponent(code);
+  const pending = new Map(); // id -> resolve
+  let nextId = 1;
+  let ws = null;
+  let es = null;
+  let closed = false;
+  let useSse = !("WebSocket" in window);
+  let retryTimer = null;
+  let lastEventId = null; // resume point handed to the next transport
+  let current = null; // latest full state, patched in place
+  let version = 0;
+  let syncing = false;
+
+  function resumeQuery() {
+    return lastEventId == null ? "" : `?lastEventId=${lastEventId}`;
+  }
+
+  function emit(event, data) {
+    if (onEvent) onEvent(event, data);
+  }
+
+  function applySnapshot(data) {
+    const { version: v, ...state } = data;
+    current = state;
+    version = Number(v) || 0;
+    emit("state", structuredClone(current));
+  }
+
+  async function resync() {
+    if (syncing) return;
+    syncing = true;
+    const r = await link.send("sync");
+    syncing = false;
+    if (r.ok && r.data?.room && !closed) applySnapshot(r.data.room);
+  }
+
+  function receive(event, data) {
+    if (event === "state") {
+      applySnapshot(data);
+    } else if (event === "patch") {
+      if (!current || data.version <= version) return;
+      if (data.version !== version + 1) {
+        resync();
+        return;
+      }
+      applyStatePatch(current, data.ops);
+      version = data.version;
+      emit("state", structuredClone(current));
+    } else if (event === "closed" || event === "kicked") {
+      // The server ends the stream right after; do not reconnect to a room we are no longer in.
+      link.close();
+      emit(event, data);
+    } else {
+      emit(event, data);
+    }
+  }
+
+  function trouble() {
+    if (onTrouble) onTrouble();
+  }
+
+  function flushPending() {
+    const gone = { ok: false, status: 0, data: { ok: false, error: "disconnected" } };
+    for (const resolve of pending.values()) resolve(gone);
+    pending.clear();
+  }
+
+  function openSse() {
+    // After the first connect the browser itself resends Last-Event-ID on every reconnect.
+    es = new EventSource(`${ssePath}${roomPath}${resumeQuery()}`);
+    for (const event of ["state", "patch", "chat", "chatHistory", "reaction", "closed", "kicked"]) {
+      es.addEventListener(event, (ev) => {
+        if (ev.lastEventId) lastEventId = Number(ev.lastEventId);
+        receive(event, JSON.parse(ev.data));
+      });
+    }
+    es.onerror = trouble;
+  }
+
+  function openSocket() {
+    const proto = location.protocol === "https:" ? "wss:" : "ws:";
+    const socket = new WebSocket(`${proto}//${location.host}/ws/${game}/${roomPath}${resumeQuery()}`);
+    let opened = false;
+    ws = socket;
+
+    socket.onopen = () => {
+      opened = true;
+    };
+    socket.onmessage = (ev) => {
+      let msg = null;
+      try {
+        msg = JSON.parse(ev.data);
+      } catch {
+        return;
+      }
+      if (msg.type === "event") {
+        if (msg.id != null) lastEventId = msg.id;
+        receive(msg.event, msg.data);
+      } else if (msg.type === "result" && pending.has(msg.id)) {
+        const resolve = pending.get(msg.id);
+        pending.delete(msg.id);
+        resolve({ ok: msg.status < 400, status: msg.status, data: msg.data });
+      }
+    };
+    socket.onclose = () => {
+      if (ws === socket) ws = null;
+      flushPending();
+      if (closed) return;
+      trouble();
+      // Never got through: assume the path blocks upgrades and stay on SSE.
+      if (!opened) {
+        useSse = true;
+        openSse();
+        return;
+      }
+      retryTimer = window.setTimeout(openSocket, 1500);
+    };
+  }
+
+  if (useSse) openSse();
+  else openSocket();
+
+  const link = {
+    send(command, body) {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        const id = nextId++;
+        return new Promise((resolve) => {
+          pending.set(id, resolve);
+          ws.send(JSON.stringify({ id, command, body: body || {} }));
+        });
+      }
+      return apiJson(`${apiPath}/${roomPath}/${command}`, { method: "POST", body: body || {} });
+    },
+
+    close() {
+      closed = true;
+      if (retryTimer) window.clearTimeout(retryTimer);
+      if (ws) ws.close();
+      if (es) es.close();
+      ws = null;
+      es = null;
+      flushPending();
+    },
+  };
+  return link;
+}
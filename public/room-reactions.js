@@ -0,0 +1,55 @@
+// Reaction buttons (`#reactionBar` in the view) and the pop-up over a player's row when anyone reacts.
+// Keep the list in sync with REACTIONS in games/engine.js; character keys map to `assets/char-<key>.svg`.
+const ROOM_REACTIONS = ["bear", "bunny", "cat", "fox", "panda", "pig", "👍", "👏", "😂", "😮", "😢", "🔥"];
+const REACTION_POP_MS = 1600;
+
+function reactionContent(reaction) {
+  if (/^[a-z]+$/.test(reaction)) {
+    const img = document.createElement("img");
+    img.src = `/static/assets/char-${reaction}.svg`;
+    img.alt = reaction;
+    return img;
+  }
+  return document.createTextNode(reaction);
+}
+
+function createRoomReactions({ send, playersId }) {
+  const bar = document.getElementById("reactionBar");
+  let cooldown = null;
+
+  for (const reaction of ROOM_REACTIONS) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "reaction-btn";
+    btn.title = reaction;
+    btn.append(reactionContent(reaction));
+    btn.addEventListener("click", async () => {
+      if (cooldown) return;
+      // The server throttles too; this just keeps a mashed button from spending the whole budget.
+      cooldown = window.setTimeout(() => (cooldown = null), 400);
+      await send(reaction);
+    });
+    bar.append(btn);
+  }
+
+  return {
+    handle(event, data) {
+      if (event !== "reaction") return;
+      const row = document.querySelector(`#${playersId} [data-user-id="${CSS.escape(String(data.userId))}"]`);
+      if (!row) return;
+      const pop = document.createElement("span");
+      pop.className = "reaction-pop";
+      pop.append(reactionContent(data.reaction));
+      row.append(pop);
+      window.setTimeout(() => pop.remove(), REACTION_POP_MS);
+    },
+
+    show() {
+      bar.hidden = false;
+    },
+
+    reset() {
+      bar.hidden = true;
+    },
+  };
+}
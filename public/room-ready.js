@@ -0,0 +1,59 @@
+// Ready check before a game (`#readyPanel` in the view): every player toggles ready, and the host can let
+// the room start by itself once everyone is. `startSettings()` returns the page's start body, resent to the
+// server whenever one of `settingInputs` changes while auto-start is on.
+function createReadyPanel({ send, onMessage, startSettings, settingInputs = [] }) {
+  const panel = document.getElementById("readyPanel");
+  const toggle = document.getElementById("readyToggle");
+  const autoStartRow = document.getElementById("autoStartRow");
+  const autoStart = document.getElementById("autoStart");
+  let ready = false;
+  let lastAutoStartError = null;
+
+  toggle.addEventListener("click", async () => {
+    const r = await send("ready", { ready: !ready });
+    if (!r.ok || !r.data?.ok) onMessage("준비 상태를 바꾸지 못했습니다.", "error");
+  });
+
+  async function saveAutoStart() {
+    const enabled = autoStart.checked;
+    const r = await send("auto-start", { enabled, settings: startSettings() });
+    if (!r.ok || !r.data?.ok) {
+      autoStart.checked = !enabled;
+      onMessage("자동 시작을 바꾸지 못했습니다.", "error");
+    }
+  }
+  autoStart.addEventListener("change", saveAutoStart);
+  for (const input of settingInputs) {
+    input.addEventListener("change", () => {
+      if (autoStart.checked && !autoStartRow.hidden) saveAutoStart();
+    });
+  }
+
+  return {
+    render(state, meUserId) {
+      const seated = state.players.some((p) => p.userId === meUserId);
+      panel.hidden = state.status !== "lobby" || !seated;
+      if (panel.hidden) return;
+      ready = (state.readyUserIds || []).includes(meUserId);
+      toggle.textContent = ready ? "준비 취소" : "준비";
+      toggle.className = ready ? "ghost" : "good";
+      autoStartRow.hidden = state.hostUserId !== meUserId;
+      autoStart.checked = Boolean(state.autoStart);
+      // Everyone is ready but the game would not start; say so once per new reason.
+      if (state.autoStartError && state.autoStartError !== lastAutoStartError) {
+        onMessage(
+          state.autoStartError === "need_two_players" || state.autoStartError === "no_players"
+            ? "인원이 부족해 자동으로 시작하지 못했습니다."
+            : "자동으로 시작하지 못했습니다. 방장이 시작 설정을 확인해주세요.",
+          "error"
+        );
+      }
+      lastAutoStartError = state.autoStartError || null;
+    },
+
+    reset() {
+      panel.hidden = true;
+      ready = false;
+    },
+  };
+}
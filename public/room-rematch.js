@@ -0,0 +1,45 @@
+// "Play again" vote shown once a game has ended (`#rematchPanel` in the view). Players opt in or out and
+// everyone sees the tally; the host's start button then begins the next game with those who opted in.
+function createRematchPanel({ send, onMessage }) {
+  const panel = document.getElementById("rematchPanel");
+  const status = document.getElementById("rematchStatus");
+  const accept = document.getElementById("rematchAccept");
+  const decline = document.getElementById("rematchDecline");
+
+  async function vote(yes) {
+    const r = await send(yes);
+    if (!r.ok || !r.data?.ok) onMessage("다시 하기 응답을 보내지 못했습니다.", "error");
+  }
+  accept.addEventListener("click", () => vote(true));
+  decline.addEventListener("click", () => vote(false));
+
+  return {
+    render(state, meUserId) {
+      const seated = state.players.some((p) => p.userId === meUserId);
+      panel.hidden = state.status !== "ended" || !seated;
+      if (panel.hidden) return;
+
+      const votes = new Map((state.rematchVotes || []).map((v) => [v.userId, v.accept]));
+      const namesWhere = (test) =>
+        state.players
+          .filter((p) => !p.isBot && test(votes.get(p.userId)))
+          .map((p) => p.username)
+          .join(", ") || "-";
+      const isHost = state.hostUserId === meUserId;
+      status.textContent =
+        `다시 하기: ${namesWhere((v) => v === true)} · 대답 전: ${namesWhere((v) => v === undefined)}` +
+        (isHost ? " — 시작을 누르면 다시 하기를 고른 사람만 남습니다." : "");
+
+      // Starting the next game is the host's answer.
+      accept.hidden = isHost;
+      decline.hidden = isHost;
+      accept.disabled = votes.get(meUserId) === true;
+      decline.disabled = votes.get(meUserId) === false;
+    },
+
+    reset() {
+      panel.hidden = true;
+      status.textContent = "";
+    },
+  };
+}
@@ -0,0 +1,33 @@
+// Spectator list and the host's "allow spectators" switch (`#spectatorPanel` in the view).
+function createSpectatorPanel({ send }) {
+  const panel = document.getElementById("spectatorPanel");
+  const list = document.getElementById("spectatorList");
+  const toggleRow = document.getElementById("allowSpectatorsRow");
+  const toggle = document.getElementById("allowSpectators");
+
+  toggle.addEventListener("change", async () => {
+    const allow = toggle.checked;
+    const r = await send(allow);
+    if (!r.ok || !r.data?.ok) toggle.checked = !allow;
+  });
+
+  return {
+    render(state, meUserId) {
+      panel.hidden = false;
+      const spectators = state.spectators || [];
+      list.textContent =
+        spectators.length > 0
+          ? `관전 ${spectators.length}명: ${spectators.map((s) => s.username).join(", ")}`
+          : state.allowSpectators
+            ? "관전자 없음"
+            : "관전 비허용";
+      toggleRow.hidden = state.hostUserId !== meUserId;
+      toggle.checked = Boolean(state.allowSpectators);
+    },
+
+    reset() {
+      panel.hidden = true;
+      list.textContent = "";
+    },
+  };
+}
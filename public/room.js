@@ -1,11 +1,23 @@
-async function apiJson(url, { method = "GET", body } = {}) {
+let csrfToken = null; // from GET /api/me, sent back on every other method
+
+async function apiJson(url, { method = "GET", body } = {}, retried = false) {
+  const headers = body ? { "Content-Type": "application/json" } : {};
+  if (method !== "GET") {
+    if (!csrfToken) csrfToken = (await apiJson("/api/me")).data?.csrfToken || null;
+    if (csrfToken) headers["X-CSRF-Token"] = csrfToken;
+  }
   const res = await fetch(url, {
     method,
-    headers: body ? { "Content-Type": "application/json" } : undefined,
+    headers,
     body: body ? JSON.stringify(body) : undefined,
     credentials: "same-origin",
   });
   const data = await res.json().catch(() => null);
+  // The cookie may have been replaced (cleared cookies, another tab); fetch a fresh token once.
+  if (res.status === 403 && data?.error === "csrf_failed" && !retried) {
+    csrfToken = null;
+    return apiJson(url, { method, body }, true);
+  }
   return { ok: res.ok, status: res.status, data };
 }
 
@@ -56,19 +68,21 @@ function statusLabel(status) {
   return status;
 }
 
-function renderPlayers(room) {
+function renderPlayers(room, hostActions, meUserId) {
   const list = $("players");
   list.innerHTML = "";
   const players = [...room.players].sort((a, b) => a.username.localeCompare(b.username));
   for (const p of players) {
     const row = document.createElement("div");
     row.className = "player";
+    row.dataset.userId = String(p.userId);
 
     const left = document.createElement("div");
     left.className = "name";
     const hostTag = p.userId === room.hostUserId ? " (방장)" : "";
     const botTag = p.isBot ? " (COM)" : "";
-    left.textContent = p.username + hostTag + botTag;
+    const guestTag = p.isGuest ? " (게스트)" : "";
+    left.textContent = p.username + hostTag + botTag + guestTag;
 
     const right = document.createElement("div");
     right.className = "meta";
@@ -78,6 +92,11 @@ function renderPlayers(room) {
     const st = document.createElement("span");
     st.textContent = p.isBot ? "bot" : p.online ? "online" : "offline";
     right.append(dot, st);
+    const away = awayBadge(room, p.userId);
+    if (away) right.append(away);
+    const ready = readyBadge(room, p);
+    if (ready) right.append(ready);
+    hostActions.decorate(right, room, p, meUserId);
 
     row.append(left, right);
     list.append(row);
@@ -157,7 +176,14 @@ window.initRoomPage = async function initRoomPage() {
   let prevLastNumber = null;
   let countdownTimer = null;
 
-  const join = await apiJson(`/api/rooms/${encodeURIComponent(code)}/join`, { method: "POST" });
+  // `?watch=1` (from the lobby) goes straight to spectating; a full or started room falls back to it.
+  // `?invite=` comes from an invite link and lets us into a private room.
+  const roomApi = `/api/rooms/${encodeURIComponent(code)}`;
+  const params = new URLSearchParams(location.search);
+  const { r: join, spectating } = await enterRoom(roomApi, {
+    watch: params.has("watch"),
+    invite: params.get("invite") || "",
+  });
   if (!join.ok || !join.data?.ok) {
     const err = join.data?.error || "unknown";
     $("error").textContent =
@@ -165,15 +191,37 @@ window.initRoomPage = async function initRoomPage() {
         ? "방이 가득 찼습니다. (최대 8명)"
         : err === "room_not_joinable"
           ? "이미 시작된 방입니다. (대기중일 때만 참가 가능)"
-          : "방에 참가할 수 없습니다.";
+          : err === "spectators_disabled"
+            ? "관전이 허용되지 않은 방입니다."
+            : err === "banned_from_room"
+              ? "이 방에서 차단되어 들어갈 수 없습니다."
+              : err === "password_required" || err === "invite_invalid" || err === "wrong_password"
+                ? "비밀번호가 필요한 방입니다."
+                : "방에 참가할 수 없습니다.";
     return;
   }
 
-  board = join.data.board;
+  board = join.data.board || null;
   roomState = join.data.room;
   prevLastNumber = roomState.lastNumber;
-  buildBoard(board);
-  const boardCells = Array.from($("board").querySelectorAll(".cell"));
+  if (spectating) {
+    $("boardTitle").textContent = "관전 중";
+    $("board").textContent = "관전 중에는 다른 참가자의 빙고판을 볼 수 없습니다.";
+    $("board").className = "muted";
+    $("myLines").textContent = "-";
+  } else {
+    buildBoard(board);
+  }
+  let boardRound = roomState.round;
+
+  // A rematch deals new boards; `join` on a seat we already hold hands ours back.
+  async function refreshBoard() {
+    const r = await link.send("join");
+    if (!r.ok || !r.data?.board) return;
+    board = r.data.board;
+    buildBoard(board);
+    updateBoardMarks(board, roomState);
+  }
 
   function playerNameById(room, userId) {
     const found = room.players.find((p) => p.userId === userId);
@@ -181,10 +229,7 @@ window.initRoomPage = async function initRoomPage() {
   }
 
   async function requestDraw(selected) {
-    const r = await apiJson(`/api/rooms/${encodeURIComponent(code)}/draw`, {
-      method: "POST",
-      body: { number: selected },
-    });
+    const r = await link.send("draw", { number: selected });
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "not_your_turn") alert("아직 내 차례가 아닙니다.");
@@ -207,6 +252,11 @@ window.initRoomPage = async function initRoomPage() {
   function renderTurnNotice(room) {
     const isMyTurn = room.status === "playing" && room.turnUserId === me.userId;
     const turnEl = $("turnNotice");
+    if (spectating && room.status === "playing" && room.turnUserId) {
+      turnEl.className = "banner";
+      turnEl.textContent = `관전 중 · 지금 ${playerNameById(room, room.turnUserId)}님 차례입니다.`;
+      return;
+    }
     turnEl.className = "banner";
 
     if (room.status === "lobby") {
@@ -250,8 +300,17 @@ window.initRoomPage = async function initRoomPage() {
       prevLastNumber = room.lastNumber;
     }
 
-    renderPlayers(room);
-    updateBoardMarks(board, room);
+    renderPlayers(room, hostActions, me.userId);
+    hostActions.notice(room, me.userId);
+    spectators.render(room, me.userId);
+    if (board) updateBoardMarks(board, room);
+    if (!spectating && room.round !== boardRound) {
+      boardRound = room.round;
+      refreshBoard();
+    }
+    rematch.render(room, me.userId);
+    inviteButton.render(room, me.userId);
+    readyPanel.render(room, me.userId);
     renderBanner(me, room);
     renderTurnNotice(room);
     updateTurnCountdown(room);
@@ -262,12 +321,13 @@ window.initRoomPage = async function initRoomPage() {
     const isHost = me.userId === room.hostUserId;
     $("hostControls").style.display = isHost ? "flex" : "none";
 
-    $("start").disabled = room.status !== "lobby";
-    $("drawTimeout").disabled = room.status !== "lobby";
+    $("start").disabled = room.status === "playing";
+    $("start").textContent = room.status === "ended" ? "다시 시작" : "게임 시작";
+    $("drawTimeout").disabled = room.status === "playing";
 
     const canDraw = room.status === "playing" && room.turnUserId === me.userId;
     const called = new Set(room.calledNumbers || []);
-    for (const cell of boardCells) {
+    for (const cell of $("board").querySelectorAll(".cell")) {
       const n = Number(cell.dataset.num);
       const selectable = canDraw && !called.has(n);
       cell.classList.toggle("selectable", selectable);
@@ -276,37 +336,84 @@ window.initRoomPage = async function initRoomPage() {
 
   $("start").addEventListener("click", async () => {
     const drawTimeoutSeconds = Number($("drawTimeout").value);
-    const r = await apiJson(`/api/rooms/${encodeURIComponent(code)}/start`, {
-      method: "POST",
-      body: { drawTimeoutSeconds },
-    });
+    const r = await link.send("start", { drawTimeoutSeconds });
     if (!r.ok || !r.data?.ok) {
       const err = r.data?.error || "unknown";
       if (err === "invalid_draw_timeout_seconds") alert("제한시간은 3/5/7/10/15/20초만 가능합니다.");
+      else if (err === "players_not_ready") alert("아직 준비하지 않은 참가자가 있습니다.");
       else alert("시작 실패 (방장만 가능)");
     }
   });
 
-  for (const cell of boardCells) {
-    cell.addEventListener("click", async () => {
-      if (!roomState) return;
-      if (!(roomState.status === "playing" && roomState.turnUserId === me.userId)) return;
-      const n = Number(cell.dataset.num);
-      if (!Number.isInteger(n)) return;
-      if (new Set(roomState.calledNumbers || []).has(n)) return;
-      await requestDraw(n);
-    });
-  }
+  // One listener for the board: a rematch replaces every cell.
+  $("board").addEventListener("click", async (ev) => {
+    const cell = ev.target.closest(".cell");
+    if (!cell || !roomState) return;
+    if (!(roomState.status === "playing" && roomState.turnUserId === me.userId)) return;
+    const n = Number(cell.dataset.num);
+    if (!Number.isInteger(n)) return;
+    if (new Set(roomState.calledNumbers || []).has(n)) return;
+    await requestDraw(n);
+  });
+
+  const chat = createRoomChat({ send: (text) => link.send("chat", { text }) });
+  const reactions = createRoomReactions({
+    send: (reaction) => link.send("react", { reaction }),
+    playersId: "players",
+  });
+  const spectators = createSpectatorPanel({ send: (allow) => link.send("spectators", { allow }) });
+  const rematch = createRematchPanel({
+    send: (accept) => link.send("rematch", { accept }),
+    onMessage: (text, kind) => {
+      $("net").textContent = text;
+      $("net").className = kind;
+    },
+  });
+  const hostActions = createHostActions({
+    send: (command, body) => link.send(command, body),
+    onMessage: (text, kind) => {
+      $("net").textContent = text;
+      $("net").className = kind;
+    },
+  });
+  const readyPanel = createReadyPanel({
+    send: (command, body) => link.send(command, body),
+    onMessage: (text, kind) => {
+      $("net").textContent = text;
+      $("net").className = kind;
+    },
+    startSettings: () => ({ drawTimeoutSeconds: Number($("drawTimeout").value) }),
+    settingInputs: [$("drawTimeout")],
+  });
+  const inviteButton = createInviteButton({
+    send: () => link.send("invite"),
+    onMessage: (text, kind) => {
+      $("net").textContent = text;
+      $("net").className = kind;
+    },
+  });
+  if (spectating) reactions.reset();
 
   applyState(roomState);
 
-  const es = new EventSource(`/sse/room/${encodeURIComponent(code)}`);
-  es.addEventListener("state", (ev) => {
-    const data = JSON.parse(ev.data);
-    applyState(data);
+  const link = openRoomLink({
+    game: "bingo",
+    code,
+    apiPath: "/api/rooms",
+    ssePath: "/sse/room/",
+    onEvent: (event, data) => {
+      if (event === "state") applyState(data);
+      else if (event === "closed" || event === "kicked") {
+        alert(roomGoneMessage(event, data));
+        location.href = "/bingo";
+      } else {
+        chat.handle(event, data);
+        reactions.handle(event, data);
+      }
+    },
+    onTrouble: () => {
+      $("net").textContent = "연결이 불안정합니다. (자동 재연결 시도중)";
+      $("net").className = "muted";
+    },
   });
-  es.onerror = () => {
-    $("net").textContent = "연결이 불안정합니다. (자동 재연결 시도중)";
-    $("net").className = "muted";
-  };
 };
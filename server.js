@@ -3,17 +3,61 @@ const fs = require("node:fs");
 const fsp = require("node:fs/promises");
 const path = require("node:path");
 const crypto = require("node:crypto");
+const { createRoomEngine } = require("./games/engine");
+const bingoGame = require("./games/bingo");
+const crocGame = require("./games/croc");
+const memoryGame = require("./games/memory");
+const gomokuGame = require("./games/gomoku");
+const { acceptWebSocket, rejectUpgrade } = require("./lib/websocket");
+const { createMemorySessionStore, createFileSessionStore } = require("./lib/session-store");
+const { createRateLimiter } = require("./lib/rate-limit");
+const { createMatchmaker } = require("./lib/matchmaker");
+const { createMatchStore } = require("./lib/match-store");
+const { createUsernamePolicy, normalizeUsername, usernameSkeleton } = require("./lib/username-policy");
+const { countHumanPlayers } = require("./games/shared");
 
 const PORT = Number(process.env.PORT || 3000);
 const HOST = process.env.HOST || "0.0.0.0";
 const SESSION_SECRET = process.env.SESSION_SECRET || "dev-secret-change-me";
 const COOKIE_SECURE = process.env.COOKIE_SECURE === "1";
+// Number of proxies in front of us that append to X-Forwarded-For; 0 uses the socket address.
+const TRUST_PROXY_HOPS = Math.max(0, Math.floor(Number(process.env.TRUST_PROXY || 0)) || 0);
+const MAX_HOSTED_ROOMS = Number(process.env.MAX_HOSTED_ROOMS || 3);
+// How long a host may stay disconnected before the next online player becomes host.
+const HOST_GRACE_MS = Number(process.env.HOST_GRACE_SECONDS || 60) * 1000;
+// Defaults for new rooms: an offline player's turn is skipped after the grace period, and they forfeit
+// after the longer one. A room may pick its own (`graceSeconds` / `forfeitSeconds` when created).
+const RECONNECT_GRACE_SECONDS = Number(process.env.RECONNECT_GRACE_SECONDS || 30);
+const FORFEIT_SECONDS = Number(process.env.FORFEIT_SECONDS || 120);
+// How long an invite link from a room's `invite` command lets people past its password.
+const INVITE_TTL_MS = Number(process.env.INVITE_TTL_HOURS || 24) * 60 * 60 * 1000;
+// How long a quick-match queue waits for a full group before matching whoever is there.
+const QUICK_MATCH_WAIT_MS = Number(process.env.QUICK_MATCH_WAIT_SECONDS || 20) * 1000;
+// Comma-separated usernames promoted to `role: "admin"` in users.json at startup.
+const ADMIN_USERNAMES = new Set(
+  String(process.env.ADMIN_USERNAMES || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+);
 
 const ROOT_DIR = __dirname;
 const PUBLIC_DIR = path.join(ROOT_DIR, "public");
 const VIEWS_DIR = path.join(ROOT_DIR, "views");
 const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(ROOT_DIR, "data"));
 const USERS_FILE = path.join(DATA_DIR, "users.json");
+const SESSIONS_FILE = path.join(DATA_DIR, "sessions.json");
+const ROOMS_FILE = path.join(DATA_DIR, "rooms.json");
+const MATCHES_FILE = path.join(DATA_DIR, "matches.json");
+const USERNAME_BLOCKLIST_FILE = path.join(DATA_DIR, "username-blocklist.txt");
+const ROOM_SNAPSHOT_MS = 15 * 1000;
+const SESSION_STORE = process.env.SESSION_STORE || "file"; // "file" | "memory"
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION_IDLE_MS = Number(process.env.SESSION_IDLE_DAYS || 7) * DAY_MS;
+const SESSION_MAX_MS = Number(process.env.SESSION_MAX_DAYS || 30) * DAY_MS;
+const GUEST_SESSION_MAX_MS = Number(process.env.GUEST_SESSION_HOURS || 24) * 60 * 60 * 1000;
+const GUEST_USERNAME_PREFIX = "게스트";
+const SESSION_SWEEP_MS = 10 * 60 * 1000;
 
 function nowIso() {
   return new Date().toISOString();
@@ -37,6 +81,19 @@ function sendJson(res, statusCode, obj) {
   res.end(body);
 }
 
+// Only the entries our own proxies appended can be trusted; whatever comes before them is up to the client.
+function clientIp(req) {
+  if (TRUST_PROXY_HOPS > 0) {
+    const hops = String(req.headers["x-forwarded-for"] || "")
+      .split(",")
+      .map((ip) => ip.trim())
+      .filter(Boolean);
+    const forwarded = hops[Math.max(0, hops.length - TRUST_PROXY_HOPS)];
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress || "unknown";
+}
+
 function redirect(res, location, statusCode = 302) {
   res.writeHead(statusCode, { Location: location, "Cache-Control": "no-store" });
   res.end();
@@ -138,20 +195,39 @@ function verifySessionCookieValue(value) {
   }
 }
 
-const sessions = new Map(); // sid -> { userId, username, createdAt, lastSeenAt }
+// sid -> { userId, username, createdAt, lastSeenAt }
+const sessions = SESSION_STORE === "memory" ? createMemorySessionStore() : createFileSessionStore(SESSIONS_FILE);
 const SESSION_COOKIE = "sid";
 
+function sessionMaxMs(s) {
+  return s.isGuest ? GUEST_SESSION_MAX_MS : SESSION_MAX_MS;
+}
+
+function isSessionExpired(s, now = Date.now()) {
+  return now - s.createdAt > sessionMaxMs(s) || now - s.lastSeenAt > SESSION_IDLE_MS;
+}
+
+function sessionIdOf(req) {
+  return verifySessionCookieValue(parseCookies(req)[SESSION_COOKIE]);
+}
+
 function getSession(req) {
-  const cookies = parseCookies(req);
-  const raw = cookies[SESSION_COOKIE];
-  const sid = verifySessionCookieValue(raw);
+  const sid = sessionIdOf(req);
   if (!sid) return null;
   const s = sessions.get(sid);
   if (!s) return null;
-  s.lastSeenAt = Date.now();
+  const now = Date.now();
+  if (isSessionExpired(s, now)) {
+    sessions.delete(sid);
+    return null;
+  }
+  // Only persist activity once a minute; the idle window is measured in days.
+  if (now - s.lastSeenAt > 60 * 1000) sessions.touch(sid);
+  s.lastSeenAt = now;
   return s;
 }
 
+// Returns the new session id.
 function setSession(res, sessionData) {
   const sid = base64UrlEncode(crypto.randomBytes(18));
   sessions.set(sid, {
@@ -160,10 +236,13 @@ function setSession(res, sessionData) {
     lastSeenAt: Date.now(),
   });
 
-  const cookie = `${SESSION_COOKIE}=${encodeURIComponent(makeSessionCookieValue(sid))}; HttpOnly; Path=/; SameSite=Lax${
-    COOKIE_SECURE ? "; Secure" : ""
-  }`;
+  // The browser drops the cookie when the absolute lifetime ends; idle expiry is checked server-side.
+  const maxAge = Math.floor(sessionMaxMs(sessionData) / 1000);
+  const cookie = `${SESSION_COOKIE}=${encodeURIComponent(
+    makeSessionCookieValue(sid)
+  )}; HttpOnly; Path=/; SameSite=Lax; Max-Age=${maxAge}${COOKIE_SECURE ? "; Secure" : ""}`;
   res.setHeader("Set-Cookie", cookie);
+  return sid;
 }
 
 function clearSession(req, res) {
@@ -193,7 +272,9 @@ async function readJsonBody(req, { maxBytes = 1024 * 32 } = {}) {
     req.on("end", () => {
       const raw = Buffer.concat(chunks).toString("utf8");
       const parsed = safeJsonParse(raw || "{}");
-      if (!parsed.ok) resolve({ ok: false, error: "invalid_json", value: null });
+      // Every route reads fields off the body, so `null`, arrays and bare values are as bad as broken JSON.
+      const isObject = parsed.value !== null && typeof parsed.value === "object" && !Array.isArray(parsed.value);
+      if (!parsed.ok || !isObject) resolve({ ok: false, error: "invalid_json", value: null });
       else resolve({ ok: true, error: null, value: parsed.value });
     });
   });
@@ -232,8 +313,89 @@ function queueUserDbWrite() {
   return userDbWriteInFlight;
 }
 
-function normalizeUsername(name) {
-  return String(name || "").trim();
+function findUserByUsername(username) {
+  const key = normalizeUsername(username).toLowerCase();
+  return userDb.users.find((u) => normalizeUsername(u.username).toLowerCase() === key) || null;
+}
+
+const usernamePolicy = createUsernamePolicy({
+  reserved: [
+    bingoGame.BINGO_BOT_USERNAME,
+    "admin",
+    "administrator",
+    "moderator",
+    "system",
+    "root",
+    "운영자",
+    "관리자",
+  ],
+  reservedPrefixes: [GUEST_USERNAME_PREFIX],
+  blocklistFile: USERNAME_BLOCKLIST_FILE,
+});
+
+// Signup, rename and guest upgrade: the content policy, then no other account that looks the same.
+function checkNewUsername(name, self = null) {
+  const checked = usernamePolicy.check(name);
+  if (!checked.ok) return checked;
+  const skeleton = usernameSkeleton(checked.username);
+  if (userDb.users.some((u) => u !== self && usernameSkeleton(u.username) === skeleton)) {
+    return { ok: false, status: 409, error: "username_taken" };
+  }
+  return checked;
+}
+
+const AVATARS = ["🐶", "🐱", "🐼", "🦊", "🐸", "🐯", "🐰", "🐻", "🐧", "🐙"];
+
+function publicUser(user) {
+  return {
+    userId: user.id,
+    username: user.username,
+    avatar: user.avatar || null,
+    isGuest: false,
+    isAdmin: user.role === "admin",
+  };
+}
+
+function isConfiguredAdminName(username) {
+  return ADMIN_USERNAMES.has(username.toLowerCase());
+}
+
+// Only promotes accounts that already exist and have a password, so nobody can get an admin name by signing
+// up first or by claiming a passwordless account at login (which login refuses for these names anyway).
+// Demoting is done by removing `role` from the record in users.json.
+async function grantConfiguredAdmins() {
+  let changed = false;
+  for (const user of userDb.users) {
+    if (user.role === "admin" || !isConfiguredAdminName(user.username)) continue;
+    if (!user.passwordHash) {
+      // eslint-disable-next-line no-console
+      console.warn(`not making ${user.username} an admin: the account has no password yet`);
+      continue;
+    }
+    user.role = "admin";
+    changed = true;
+  }
+  if (changed) await queueUserDbWrite();
+}
+
+function isAdminSession(session) {
+  if (!session || session.isGuest) return false;
+  const user = userDb.users.find((x) => x.id === session.userId);
+  return Boolean(user && user.role === "admin");
+}
+
+// Guests only exist in their session: ids are strings so they never collide with users.json ids.
+function newGuestSession() {
+  const tag = String(crypto.randomInt(0, 10000)).padStart(4, "0");
+  return {
+    userId: `guest:${base64UrlEncode(crypto.randomBytes(9))}`,
+    username: `${GUEST_USERNAME_PREFIX}${tag}`,
+    isGuest: true,
+  };
+}
+
+function isValidPassword(password) {
+  return typeof password === "string" && password.length >= 4 && password.length <= 200;
 }
 
 function hashPassword(password) {
@@ -253,466 +415,707 @@ function verifyPassword(password, stored) {
   return crypto.timingSafeEqual(actual, expected);
 }
 
-function pickRoomCode() {
-  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I
-  let code = "";
-  for (let i = 0; i < 6; i++) code += alphabet[crypto.randomInt(0, alphabet.length)];
-  return code;
-}
+const GAME_DEFINITIONS = [bingoGame, crocGame, memoryGame, gomokuGame];
+
+let roomsDirty = false;
+let roomsWriteInFlight = Promise.resolve();
+
+const matchStore = createMatchStore(MATCHES_FILE);
+
+const roomEngine = createRoomEngine({
+  onChange: () => {
+    roomsDirty = true;
+    notifyLobby();
+  },
+  onMatchEnd: (record) => matchStore.add(record),
+  hostGraceMs: HOST_GRACE_MS,
+  graceSeconds: RECONNECT_GRACE_SECONDS,
+  forfeitSeconds: FORFEIT_SECONDS,
+});
+for (const def of GAME_DEFINITIONS) roomEngine.register(def);
 
-function makeShuffledNumbers(n) {
-  const arr = Array.from({ length: n }, (_, i) => i + 1);
-  for (let i = arr.length - 1; i > 0; i--) {
-    const j = crypto.randomInt(0, i + 1);
-    [arr[i], arr[j]] = [arr[j], arr[i]];
+async function loadRooms() {
+  let raw = null;
+  try {
+    raw = await fsp.readFile(ROOMS_FILE, "utf8");
+  } catch {
+    return 0;
+  }
+  try {
+    return roomEngine.restoreRooms(raw);
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.error("ignoring unreadable room snapshot", err);
+    return 0;
   }
-  return arr;
 }
 
-function generateBoard(size) {
-  const nums = makeShuffledNumbers(size * size);
-  const board = [];
-  for (let r = 0; r < size; r++) board.push(nums.slice(r * size, (r + 1) * size));
-  return board;
+// Serializes right away so the file reflects the rooms as of this call, then writes in order.
+function queueRoomsWrite() {
+  roomsDirty = false;
+  const text = roomEngine.serializeRooms();
+  const write = async () => {
+    const tmp = `${ROOMS_FILE}.tmp`;
+    await fsp.writeFile(tmp, text, "utf8");
+    await fsp.rename(tmp, ROOMS_FILE);
+  };
+  roomsWriteInFlight = roomsWriteInFlight.then(write, write);
+  return roomsWriteInFlight;
+}
+
+// Room browser: every game's rooms summarized from its public state.
+const ROOM_BROWSER_STATUSES = new Set(["lobby", "playing", "ended"]);
+
+function roomBrowserEntry(def, room) {
+  const state = def.publicState(room);
+  const humans = state.players.filter((p) => !p.isBot);
+  const host = state.players.find((p) => p.userId === state.hostUserId);
+  const freeSeats = def.capacity == null ? null : Math.max(0, def.capacity - humans.length);
+  return {
+    game: def.game,
+    code: state.code,
+    status: state.status,
+    hostUserId: state.hostUserId,
+    hostUsername: host ? host.username : null,
+    playerCount: humans.length,
+    onlineCount: humans.filter((p) => p.online).length,
+    capacity: def.capacity,
+    freeSeats,
+    joinable: state.status === "lobby" && freeSeats !== 0,
+    allowSpectators: room.allowSpectators,
+    private: Boolean(room.passwordHash),
+    spectatorCount: Array.from(room.spectators.values()).filter((s) => s.online).length,
+    settings: def.browserSettings(state),
+    createdAt: state.createdAt,
+  };
 }
 
-function cryptoShuffleItems(arr) {
-  const out = [...arr];
-  for (let i = out.length - 1; i > 0; i--) {
-    const j = crypto.randomInt(0, i + 1);
-    [out[i], out[j]] = [out[j], out[i]];
+// `GET /api/me/matches?game=gomoku,croc&offset=0&limit=20`
+function parseMatchQuery(searchParams) {
+  const query = { games: null, offset: 0, limit: 20 };
+  const game = String(searchParams.get("game") || "").trim().toLowerCase();
+  if (game) {
+    const games = game.split(",").filter(Boolean);
+    if (games.some((g) => !roomEngine.definition(g))) return { ok: false, error: "invalid_game", query: null };
+    query.games = new Set(games);
   }
-  return out;
+  if (searchParams.has("offset")) {
+    const n = Number(searchParams.get("offset"));
+    if (!Number.isInteger(n) || n < 0) return { ok: false, error: "invalid_offset", query: null };
+    query.offset = n;
+  }
+  if (searchParams.has("limit")) {
+    const n = Number(searchParams.get("limit"));
+    if (!Number.isInteger(n) || n < 1 || n > 100) return { ok: false, error: "invalid_limit", query: null };
+    query.limit = n;
+  }
+  return { ok: true, error: null, query };
 }
 
-function countCompleteLines(board, calledSet) {
-  const size = board.length;
-  let lines = 0;
+// A match as one participant sees it: `outcome` is "win", "loss" or "draw" (nobody won).
+function matchEntry(match, userId) {
+  const outcome = match.winnerUserIds.includes(userId) ? "win" : match.winnerUserIds.length === 0 ? "draw" : "loss";
+  return { ...match, outcome };
+}
 
-  // rows
-  for (let r = 0; r < size; r++) {
-    let ok = true;
-    for (let c = 0; c < size; c++) {
-      if (!calledSet.has(board[r][c])) {
-        ok = false;
-        break;
-      }
+function parseRoomBrowserFilters(searchParams) {
+  const filters = { games: null, status: null, minFreeSeats: 0, host: "" };
+  const game = String(searchParams.get("game") || "").trim().toLowerCase();
+  if (game) {
+    const games = game.split(",").filter(Boolean);
+    if (games.some((g) => !roomEngine.definition(g))) {
+      return { ok: false, error: "invalid_game", filters: null };
     }
-    if (ok) lines++;
+    filters.games = new Set(games);
   }
-
-  // cols
-  for (let c = 0; c < size; c++) {
-    let ok = true;
-    for (let r = 0; r < size; r++) {
-      if (!calledSet.has(board[r][c])) {
-        ok = false;
-        break;
-      }
-    }
-    if (ok) lines++;
+  const status = String(searchParams.get("status") || "").trim().toLowerCase();
+  if (status) {
+    if (!ROOM_BROWSER_STATUSES.has(status)) return { ok: false, error: "invalid_status", filters: null };
+    filters.status = status;
   }
-
-  // diagonals
-  {
-    let ok = true;
-    for (let i = 0; i < size; i++) {
-      if (!calledSet.has(board[i][i])) {
-        ok = false;
-        break;
-      }
-    }
-    if (ok) lines++;
+  if (searchParams.has("freeSeats")) {
+    const n = Number(searchParams.get("freeSeats"));
+    if (!Number.isInteger(n) || n < 0) return { ok: false, error: "invalid_free_seats", filters: null };
+    filters.minFreeSeats = n;
   }
-  {
-    let ok = true;
-    for (let i = 0; i < size; i++) {
-      if (!calledSet.has(board[i][size - 1 - i])) {
-        ok = false;
-        break;
-      }
+  filters.host = normalizeUsername(searchParams.get("host")).toLowerCase();
+  return { ok: true, error: null, filters };
+}
+
+function listBrowsableRooms(filters) {
+  const out = [];
+  for (const def of roomEngine.definitions()) {
+    if (filters.games && !filters.games.has(def.game)) continue;
+    for (const room of roomEngine.rooms(def.game)) {
+      // Private rooms are reached through their code or an invite link, not the browser.
+      if (room.passwordHash) continue;
+      const entry = roomBrowserEntry(def, room);
+      if (filters.status && entry.status !== filters.status) continue;
+      // Unlimited rooms (freeSeats === null) always have a seat.
+      if (entry.freeSeats != null && entry.freeSeats < filters.minFreeSeats) continue;
+      if (filters.host && !String(entry.hostUsername || "").toLowerCase().includes(filters.host)) continue;
+      out.push(entry);
     }
-    if (ok) lines++;
   }
+  out.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+  return out;
+}
 
-  return lines;
-}
-
-const rooms = new Map(); // code -> room
-const crocRooms = new Map(); // code -> crocRoom
-const memoryRooms = new Map(); // code -> memoryRoom
-const gomokuRooms = new Map(); // code -> gomokuRoom
-const BINGO_BOT_USER_ID = "__bingo_bot__";
-const BINGO_BOT_USERNAME = "COM";
-const GOMOKU_SIZE = 19;
-
-const MEMORY_CARD_COUNTS = new Set([20, 30, 40, 50, 60]);
-
-const MEMORY_COUNTRIES = [
-  { key: "kr", flag: "🇰🇷", nameKo: "대한민국" },
-  { key: "us", flag: "🇺🇸", nameKo: "미국" },
-  { key: "jp", flag: "🇯🇵", nameKo: "일본" },
-  { key: "cn", flag: "🇨🇳", nameKo: "중국" },
-  { key: "gb", flag: "🇬🇧", nameKo: "영국" },
-  { key: "fr", flag: "🇫🇷", nameKo: "프랑스" },
-  { key: "de", flag: "🇩🇪", nameKo: "독일" },
-  { key: "it", flag: "🇮🇹", nameKo: "이탈리아" },
-  { key: "es", flag: "🇪🇸", nameKo: "스페인" },
-  { key: "pt", flag: "🇵🇹", nameKo: "포르투갈" },
-  { key: "nl", flag: "🇳🇱", nameKo: "네덜란드" },
-  { key: "be", flag: "🇧🇪", nameKo: "벨기에" },
-  { key: "se", flag: "🇸🇪", nameKo: "스웨덴" },
-  { key: "no", flag: "🇳🇴", nameKo: "노르웨이" },
-  { key: "fi", flag: "🇫🇮", nameKo: "핀란드" },
-  { key: "dk", flag: "🇩🇰", nameKo: "덴마크" },
-  { key: "ch", flag: "🇨🇭", nameKo: "스위스" },
-  { key: "at", flag: "🇦🇹", nameKo: "오스트리아" },
-  { key: "pl", flag: "🇵🇱", nameKo: "폴란드" },
-  { key: "gr", flag: "🇬🇷", nameKo: "그리스" },
-  { key: "tr", flag: "🇹🇷", nameKo: "튀르키예" },
-  { key: "ru", flag: "🇷🇺", nameKo: "러시아" },
-  { key: "ca", flag: "🇨🇦", nameKo: "캐나다" },
-  { key: "mx", flag: "🇲🇽", nameKo: "멕시코" },
-  { key: "br", flag: "🇧🇷", nameKo: "브라질" },
-  { key: "ar", flag: "🇦🇷", nameKo: "아르헨티나" },
-  { key: "cl", flag: "🇨🇱", nameKo: "칠레" },
-  { key: "au", flag: "🇦🇺", nameKo: "호주" },
-  { key: "nz", flag: "🇳🇿", nameKo: "뉴질랜드" },
-  { key: "in", flag: "🇮🇳", nameKo: "인도" },
-  { key: "th", flag: "🇹🇭", nameKo: "태국" },
-  { key: "vn", flag: "🇻🇳", nameKo: "베트남" },
-  { key: "id", flag: "🇮🇩", nameKo: "인도네시아" },
-  { key: "ph", flag: "🇵🇭", nameKo: "필리핀" },
-  { key: "sg", flag: "🇸🇬", nameKo: "싱가포르" },
-  { key: "my", flag: "🇲🇾", nameKo: "말레이시아" },
-  { key: "sa", flag: "🇸🇦", nameKo: "사우디아라비아" },
-  { key: "ae", flag: "🇦🇪", nameKo: "아랍에미리트" },
-  { key: "eg", flag: "🇪🇬", nameKo: "이집트" },
-  { key: "za", flag: "🇿🇦", nameKo: "남아프리카공화국" },
-];
-
-function roomPublicState(room) {
-  return {
-    code: room.code,
-    size: room.size,
-    targetLines: room.targetLines,
-    botEnabled: Boolean(room.botEnabled),
-    status: room.status,
-    hostUserId: room.hostUserId,
-    createdAt: room.createdAt,
-    players: Array.from(room.players.values()).map((p) => ({
-      userId: p.userId,
-      username: p.username,
-      online: Boolean(p.online),
-      joinedAt: p.joinedAt,
-      isBot: Boolean(p.isBot),
-    })),
-    calledNumbers: Array.from(room.calledNumbers),
-    lastNumber: room.lastNumber ?? null,
-    winners: room.winners,
-    drawTimeoutSeconds: room.drawTimeoutSeconds,
-    turnUserId: room.turnUserId ?? null,
-    turnEndsAt: room.turnEndsAt ?? null,
-    lastDrawByUserId: room.lastDrawByUserId ?? null,
-    lastDrawByUsername: room.lastDrawByUsername ?? null,
-    lastDrawReason: room.lastDrawReason ?? null,
-  };
+const lobbySubscribers = new Set(); // { res, filters }
+
+function adminRoomEntry(def, room) {
+  return { ...roomBrowserEntry(def, room), connectionCount: room.subscribers.size };
 }
 
-function crocRoomPublicState(room) {
+function adminRoomDetail(def, room) {
   return {
-    code: room.code,
-    status: room.status,
-    hostUserId: room.hostUserId,
-    createdAt: room.createdAt,
-    players: Array.from(room.players.values()).map((p) => ({
+    ...adminRoomEntry(def, room),
+    eventSeq: room.eventSeq,
+    stateVersion: room.stateVersion,
+    players: Array.from(room.players.values(), (p) => ({
       userId: p.userId,
       username: p.username,
+      isBot: Boolean(p.isBot),
+      isGuest: Boolean(p.isGuest),
       online: Boolean(p.online),
-      joinedAt: p.joinedAt,
-      alive: Boolean(p.alive),
+      connections: room.connections.get(p.userId) || 0,
+    })),
+    spectators: Array.from(room.spectators.values(), (s) => ({
+      userId: s.userId,
+      username: s.username,
+      isGuest: Boolean(s.isGuest),
+      online: Boolean(s.online),
+      connections: room.connections.get(s.userId) || 0,
     })),
-    selectedTeeth: Array.from(room.selectedTeeth).sort((a, b) => a - b),
-    toothCountPerJaw: room.toothCountPerJaw,
-    turnUserId: room.turnUserId ?? null,
-    lastPickedTooth: room.lastPickedTooth ?? null,
-    lastPickerUserId: room.lastPickerUserId ?? null,
-    loserUserId: room.loserUserId ?? null,
-    loserUsername: room.loserUsername ?? null,
-    winnerUserId: room.winnerUserId ?? null,
-    winnerUsername: room.winnerUsername ?? null,
+    state: roomEngine.snapshot(room),
   };
 }
 
-function memoryRoomPublicState(room) {
-  const revealedSet = new Set(room.revealedIndices || []);
+// Live counts straight from the room Maps and the session store.
+function adminStats() {
+  const now = Date.now();
+  const live = sessions.values().filter((s) => !isSessionExpired(s, now));
+  const games = {};
+  for (const def of roomEngine.definitions()) {
+    const rooms = roomEngine.rooms(def.game);
+    games[def.game] = {
+      rooms: rooms.length,
+      playing: rooms.filter((room) => room.status === "playing").length,
+      players: rooms.reduce((n, room) => n + countHumanPlayers(room), 0),
+      connections: rooms.reduce((n, room) => n + room.subscribers.size, 0),
+      quickMatchWaiting: matchmaker.waiting(def.game),
+    };
+  }
   return {
-    code: room.code,
-    status: room.status,
-    hostUserId: room.hostUserId,
-    createdAt: room.createdAt,
-    cardCount: room.cardCount,
-    pairsTotal: room.cardCount / 2,
-    pairsMatched: room.matchedCount,
-    players: Array.from(room.players.values()).map((p) => ({
-      userId: p.userId,
-      username: p.username,
-      online: Boolean(p.online),
-      joinedAt: p.joinedAt,
-      score: Number(p.score || 0),
-    })),
-    turnUserId: room.turnUserId ?? null,
-    resolving: Boolean(room.resolving),
-    revealedIndices: [...room.revealedIndices],
-    winners: room.winners || [],
-    cards: room.cards.map((card, index) => {
-      const visible = card.matched || revealedSet.has(index);
-      return {
-        index,
-        matched: Boolean(card.matched),
-        visible,
-        flag: visible ? card.flag : null,
-        nameKo: visible ? card.nameKo : null,
-      };
-    }),
+    users: userDb.users.length,
+    sessions: live.length,
+    guestSessions: live.filter((s) => s.isGuest).length,
+    activeUsers: new Set(live.filter((s) => now - s.lastSeenAt < 15 * 60 * 1000).map((s) => s.userId)).size,
+    lobbyConnections: lobbySubscribers.size,
+    games,
   };
 }
 
-function gomokuRoomPublicState(room) {
+function adminUserEntry(user) {
   return {
-    code: room.code,
-    status: room.status,
-    hostUserId: room.hostUserId,
-    createdAt: room.createdAt,
-    boardSize: room.boardSize,
-    board: room.board,
-    turnUserId: room.turnUserId ?? null,
-    winnerUserId: room.winnerUserId ?? null,
-    winnerUsername: room.winnerUsername ?? null,
-    winnerStone: room.winnerStone ?? null,
-    draw: Boolean(room.draw),
-    lastMoveIndex: room.lastMoveIndex ?? null,
-    lastMoveByUserId: room.lastMoveByUserId ?? null,
-    players: Array.from(room.players.values()).map((p) => ({
-      userId: p.userId,
-      username: p.username,
-      online: Boolean(p.online),
-      joinedAt: p.joinedAt,
-      stone: p.stone || null,
-    })),
+    ...publicUser(user),
+    createdAt: user.createdAt,
+    bannedAt: user.bannedAt || null,
+    banReason: user.banReason || null,
+    sessionCount: sessions.values().filter((s) => s.userId === user.id).length,
   };
 }
 
-function sseWrite(res, event, data) {
-  res.write(`event: ${event}\n`);
-  res.write(`data: ${JSON.stringify(data)}\n\n`);
+// Banned accounts lose every session and seat at once and are refused at login.
+function banUser(user, reason) {
+  user.bannedAt = nowIso();
+  user.banReason = reason || null;
+  sessions.sweep((s) => s.userId === user.id);
+  for (const room of roomEngine.allRooms()) {
+    if (room.players.has(user.id) || room.spectators.has(user.id)) roomEngine.kickPlayer(room, user.id, "banned");
+  }
 }
 
-function broadcastRoom(room, event, data) {
-  for (const sub of room.subscribers) {
-    try {
-      sseWrite(sub.res, event, data);
-    } catch {
-      // ignore broken pipes
+function logAdminAction(session, text) {
+  // eslint-disable-next-line no-console
+  console.log(`admin ${session.username}: ${text}`);
+}
+
+/**
+ * `/api/admin/*`, admins only:
+ *   GET  stats                             counts for the dashboard
+ *   GET  rooms                             every room of every game
+ *   GET  rooms/<game>/<CODE>               players, connections and the current state
+ *   POST rooms/<game>/<CODE>/close         end the room for everyone
+ *   POST rooms/<game>/<CODE>/kick          `{ userId }` removes one player or spectator
+ *   GET  users?q=                          up to 50 accounts whose name contains `q`
+ *   POST users/<id>/ban                    `{ reason }` revokes sessions, kicks from rooms, blocks login
+ *   POST users/<id>/unban
+ */
+async function handleAdminApi(req, res, pathname, searchParams, session) {
+  const parts = pathname.slice("/api/admin/".length).split("/");
+  if (req.method === "GET" && parts.length === 1 && parts[0] === "stats") {
+    sendJson(res, 200, { ok: true, stats: adminStats() });
+    return;
+  }
+  if (req.method === "GET" && parts.length === 1 && parts[0] === "rooms") {
+    const rooms = [];
+    for (const def of roomEngine.definitions()) {
+      for (const room of roomEngine.rooms(def.game)) rooms.push(adminRoomEntry(def, room));
     }
+    rooms.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+    sendJson(res, 200, { ok: true, rooms });
+    return;
+  }
+  if (req.method === "GET" && parts.length === 1 && parts[0] === "users") {
+    const q = normalizeUsername(searchParams.get("q")).toLowerCase();
+    const users = userDb.users
+      .filter((u) => !q || normalizeUsername(u.username).toLowerCase().includes(q))
+      .slice(0, 50)
+      .map(adminUserEntry);
+    sendJson(res, 200, { ok: true, users });
+    return;
+  }
+  if (req.method === "POST" && parts.length === 3 && parts[0] === "users") {
+    const user = userDb.users.find((u) => String(u.id) === parts[1]);
+    if (!user) {
+      sendJson(res, 404, { ok: false, error: "user_not_found" });
+      return;
+    }
+    if (parts[2] === "ban") {
+      if (user.id === session.userId || user.role === "admin") {
+        sendJson(res, 409, { ok: false, error: "cannot_ban_admin" });
+        return;
+      }
+      const body = await readJsonBody(req);
+      if (!body.ok) {
+        sendJson(res, 400, { ok: false, error: body.error });
+        return;
+      }
+      banUser(user, String(body.value.reason || "").trim().slice(0, 200));
+      await queueUserDbWrite();
+      logAdminAction(session, `banned ${user.username} (#${user.id})`);
+      sendJson(res, 200, { ok: true, user: adminUserEntry(user) });
+      return;
+    }
+    if (parts[2] === "unban") {
+      delete user.bannedAt;
+      delete user.banReason;
+      await queueUserDbWrite();
+      logAdminAction(session, `unbanned ${user.username} (#${user.id})`);
+      sendJson(res, 200, { ok: true, user: adminUserEntry(user) });
+      return;
+    }
+  }
+  if (parts[0] !== "rooms" || parts.length < 3 || parts.length > 4) {
+    sendJson(res, 404, { ok: false, error: "api_not_found" });
+    return;
   }
-}
 
-function broadcastCrocRoom(room, event, data) {
-  for (const sub of room.subscribers) {
-    try {
-      sseWrite(sub.res, event, data);
-    } catch {
-      // ignore broken pipes
+  const def = roomEngine.definition(parts[1]);
+  const room = def ? roomEngine.getRoom(def.game, parts[2].toUpperCase()) : null;
+  if (!room) {
+    sendJson(res, 404, { ok: false, error: "room_not_found" });
+    return;
+  }
+  if (req.method === "GET" && parts.length === 3) {
+    sendJson(res, 200, { ok: true, room: adminRoomDetail(def, room) });
+    return;
+  }
+  if (req.method === "POST" && parts[3] === "close") {
+    roomEngine.closeRoom(room);
+    logAdminAction(session, `closed ${def.game}/${room.code}`);
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+  if (req.method === "POST" && parts[3] === "kick") {
+    const body = await readJsonBody(req);
+    if (!body.ok) {
+      sendJson(res, 400, { ok: false, error: body.error });
+      return;
     }
+    // Registered ids are numbers and guest ids strings; the page sends whichever it was shown.
+    const userId = [...room.players.keys(), ...room.spectators.keys()].find(
+      (id) => String(id) === String(body.value.userId)
+    );
+    const result =
+      userId === undefined
+        ? { ok: false, status: 404, error: "player_not_found" }
+        : roomEngine.kickPlayer(room, userId);
+    if (result.ok) logAdminAction(session, `kicked ${userId} from ${def.game}/${room.code}`);
+    sendResult(res, result.ok ? { ok: true } : result);
+    return;
   }
+  sendJson(res, 404, { ok: false, error: "api_not_found" });
+}
+let lobbyBroadcastTimer = null;
+
+function sseWrite(res, event, data, id = null) {
+  if (id != null) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// EventSource resends the last seen id as a header on reconnect; the query form is for a
+// fresh EventSource (or socket) that wants to resume where a previous transport stopped.
+function parseLastEventId(req, searchParams) {
+  const raw = req.headers["last-event-id"] ?? searchParams.get("lastEventId");
+  if (raw == null || raw === "") return null;
+  const n = Number(raw);
+  return Number.isInteger(n) && n >= 0 ? n : null;
 }
 
-function broadcastMemoryRoom(room, event, data) {
-  for (const sub of room.subscribers) {
+function startSse(req, res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+  });
+  res.write(`: connected ${nowIso()}\n\n`);
+
+  const heartbeat = setInterval(() => {
     try {
-      sseWrite(sub.res, event, data);
+      res.write(`: heartbeat ${nowIso()}\n\n`);
     } catch {
-      // ignore broken pipes
+      // ignore
     }
-  }
+  }, 25000);
+  req.on("close", () => clearInterval(heartbeat));
+}
+
+// Room changes come in bursts (join + presence), so coalesce them into one push.
+function notifyLobby() {
+  if (lobbyBroadcastTimer || lobbySubscribers.size === 0) return;
+  lobbyBroadcastTimer = setTimeout(() => {
+    lobbyBroadcastTimer = null;
+    for (const sub of lobbySubscribers) {
+      try {
+        sseWrite(sub.res, "rooms", { rooms: listBrowsableRooms(sub.filters) });
+      } catch {
+        // ignore broken pipes
+      }
+    }
+  }, 300);
 }
 
-function broadcastGomokuRoom(room, event, data) {
-  for (const sub of room.subscribers) {
-    try {
-      sseWrite(sub.res, event, data);
-    } catch {
-      // ignore broken pipes
+// "/api/memory/rooms/ABC123/pick" -> { def, code: "ABC123", command: "pick" }
+function matchRoomCommandPath(pathname) {
+  for (const def of roomEngine.definitions()) {
+    if (!pathname.startsWith(`${def.apiPath}/`)) continue;
+    const parts = pathname.slice(def.apiPath.length + 1).split("/");
+    if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+    return { def, code: parts[0].toUpperCase(), command: parts[1] };
+  }
+  return null;
+}
+
+// Per-minute budgets; each can be tuned with the env var named next to it.
+function envRate(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+const rateLimiters = {
+  // Every API call from one address (RATE_LIMIT_API_PER_MIN).
+  api: createRateLimiter({ burst: 300, perMinute: envRate("RATE_LIMIT_API_PER_MIN", 1200) }),
+  // Signup, login and guest sessions per address (RATE_LIMIT_AUTH_PER_MIN).
+  auth: createRateLimiter({ burst: 10, perMinute: envRate("RATE_LIMIT_AUTH_PER_MIN", 10) }),
+  // Room creation per user and per address (RATE_LIMIT_CREATE_PER_MIN).
+  createUser: createRateLimiter({ burst: 5, perMinute: envRate("RATE_LIMIT_CREATE_PER_MIN", 6) }),
+  createIp: createRateLimiter({ burst: 20, perMinute: envRate("RATE_LIMIT_CREATE_PER_MIN", 6) * 4 }),
+  // In-room commands per user, over POST and WebSocket alike (RATE_LIMIT_COMMANDS_PER_MIN).
+  command: createRateLimiter({ burst: 30, perMinute: envRate("RATE_LIMIT_COMMANDS_PER_MIN", 600) }),
+  // Room chat messages per user, on top of `command` (RATE_LIMIT_CHAT_PER_MIN).
+  chat: createRateLimiter({ burst: 5, perMinute: envRate("RATE_LIMIT_CHAT_PER_MIN", 20) }),
+  // Reactions per user (RATE_LIMIT_REACTIONS_PER_MIN); a short burst, then about one a second.
+  reaction: createRateLimiter({ burst: 4, perMinute: envRate("RATE_LIMIT_REACTIONS_PER_MIN", 60) }),
+  // Room password attempts per user (RATE_LIMIT_ROOM_PASSWORD_PER_MIN).
+  roomPassword: createRateLimiter({ burst: 5, perMinute: envRate("RATE_LIMIT_ROOM_PASSWORD_PER_MIN", 10) }),
+};
+
+// Commands that spend from their own budget on top of `command`.
+const COMMAND_LIMITERS = { chat: "chat", react: "reaction" };
+
+const AUTH_PATHS = new Set(["/api/signup", "/api/login", "/api/guest", "/api/guest/upgrade"]);
+
+// `{ ok: false, status: 429, error: "rate_limited", retryAfterMs }` from the first exhausted limiter, else null.
+function takeRateLimits(checks) {
+  for (const [limiter, key] of checks) {
+    const r = rateLimiters[limiter].take(key);
+    if (!r.ok) return { ok: false, status: 429, error: "rate_limited", retryAfterMs: r.retryAfterMs };
+  }
+  return null;
+}
+
+function takeCommandLimits(session, command) {
+  const key = `user:${session.userId}`;
+  const extra = Object.hasOwn(COMMAND_LIMITERS, command) ? [[COMMAND_LIMITERS[command], key]] : [];
+  return takeRateLimits([["command", key], ...extra]);
+}
+
+function countHostedRooms(userId) {
+  return roomEngine.allRooms().filter((room) => room.hostUserId === userId).length;
+}
+
+// Private rooms: an invite token is `<expiresAt>.<signature>`, signed for one room so it stops working when the
+// room is gone even if a new room gets the same code.
+function inviteSignature(room, expiresAt) {
+  return hmacBase64Url(`invite:${room.game}:${room.code}:${room.createdAt}:${expiresAt}`);
+}
+
+function verifyInviteToken(room, token) {
+  const idx = token.indexOf(".");
+  const expiresAt = Number(token.slice(0, idx));
+  if (idx <= 0 || !Number.isSafeInteger(expiresAt) || expiresAt <= Date.now()) return false;
+  const a = Buffer.from(token.slice(idx + 1));
+  const b = Buffer.from(inviteSignature(room, expiresAt));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// The page a room is played on, e.g. `/room/AB12CD` or `/gomoku?code=AB12CD`, plus an optional query.
+function roomPageUrl(room, query = "") {
+  const code = encodeURIComponent(room.code);
+  const base = room.game === "bingo" ? `/room/${code}` : `/${room.game}?code=${code}`;
+  if (!query) return base;
+  return `${base}${base.includes("?") ? "&" : "?"}${query}`;
+}
+
+function createInvite(room, session) {
+  if (!room.players.has(session.userId)) return { ok: false, status: 403, error: "not_in_room" };
+  const expiresAt = Date.now() + INVITE_TTL_MS;
+  const token = `${expiresAt}.${inviteSignature(room, expiresAt)}`;
+  return { ok: true, token, url: roomPageUrl(room, `invite=${encodeURIComponent(token)}`), expiresAt };
+}
+
+// Taking a seat or watching a private room needs its password or an invite; people already in it
+// (reconnecting, or a spectator sitting down) do not.
+function checkRoomAccess(room, command, session, body) {
+  if ((command !== "join" && command !== "spectate") || !room.passwordHash) return null;
+  if (room.players.has(session.userId) || room.spectators.has(session.userId)) return null;
+  const invite = typeof body?.invite === "string" ? body.invite : "";
+  const password = typeof body?.password === "string" ? body.password : "";
+  if (invite && verifyInviteToken(room, invite)) return null;
+  if (!password) return { ok: false, status: 403, error: invite ? "invite_invalid" : "password_required" };
+  const limited = takeRateLimits([["roomPassword", `user:${session.userId}`]]);
+  if (limited) return limited;
+  if (!verifyPassword(password, room.passwordHash)) return { ok: false, status: 403, error: "wrong_password" };
+  return null;
+}
+
+// Room commands from either transport. `invite` is answered here since only the server can sign.
+function runRoomCommand(room, command, session, body) {
+  if (command === "invite") return createInvite(room, session);
+  return checkRoomAccess(room, command, session, body) || roomEngine.runCommand(room, command, session, body);
+}
+
+// Every new room, asked for or made by quick match, goes through here: it counts against the creation rate limits
+// and the hosted room cap. `password` in a create body makes the room private.
+function createRoom(def, session, body, ip) {
+  const limited = takeRateLimits([
+    ["createUser", `user:${session.userId}`],
+    ["createIp", `ip:${ip}`],
+  ]);
+  if (limited) return limited;
+  if (countHostedRooms(session.userId) >= MAX_HOSTED_ROOMS) return { ok: false, status: 409, error: "too_many_rooms" };
+  const password = body && typeof body.password === "string" ? body.password : "";
+  if (password && !isValidPassword(password)) return { ok: false, status: 400, error: "invalid_room_password" };
+  const result = roomEngine.createRoom(def.game, session, body);
+  if (result.ok && password) roomEngine.getRoom(def.game, result.code).passwordHash = hashPassword(password);
+  return result;
+}
+
+// Quick match: `GET /sse/quick-match` carries one user's queue updates (`queue`) and, once grouped, their
+// new room (`matched`). Joining a queue needs that stream open; closing the user's last stream leaves it.
+const quickMatchStreams = new Map(); // userId -> Set of res
+
+function sendQuickMatchEvent(userId, event, data) {
+  for (const res of quickMatchStreams.get(userId) || []) sseWrite(res, event, data);
+}
+
+// A group gets a fresh room, hosted by whoever waited longest (and may still create one) and already started.
+// Sessions are looked up again first: someone banned, deleted or logged out while waiting gets no seat.
+function startQuickMatch(game, entries) {
+  const def = roomEngine.definition(game);
+  const players = [];
+  for (const entry of entries) {
+    const session = sessions.get(entry.sid);
+    if (session && session.userId === entry.userId && !isSessionExpired(session)) players.push({ ...entry, session });
+    else sendQuickMatchEvent(entry.userId, "queue", { queued: false });
+  }
+  let created = { ok: false, status: 409, error: "not_enough_players" };
+  let host = null;
+  if (players.length >= 2) {
+    for (const entry of players) {
+      created = createRoom(def, entry.session, { ...def.quickMatch.create }, entry.ip);
+      if (created.ok) {
+        host = entry;
+        break;
+      }
     }
   }
+  if (!created.ok) {
+    for (const { userId } of players) sendQuickMatchEvent(userId, "queue", { queued: false, error: created.error });
+    return;
+  }
+  const room = roomEngine.getRoom(game, created.code);
+  const steps = [
+    ...players.filter((entry) => entry !== host).map((entry) => [entry, "join", {}]),
+    ...players.map((entry) => [entry, "ready", { ready: true }]),
+    [host, "start", { ...def.quickMatch.start }],
+  ];
+  for (const [entry, command, body] of steps) {
+    const result = roomEngine.runCommand(room, command, entry.session, body);
+    if (result.ok) continue;
+    // Nobody has been sent there yet; drop the half-made room and let everyone try again.
+    // eslint-disable-next-line no-console
+    console.error(`quick match ${game} ${room.code}: ${command} failed with ${result.error}`);
+    roomEngine.closeRoom(room, "quick_match_failed");
+    for (const { userId } of players) sendQuickMatchEvent(userId, "queue", { queued: false, error: result.error });
+    return;
+  }
+  for (const { userId } of players) {
+    sendQuickMatchEvent(userId, "matched", { game, code: room.code, url: roomPageUrl(room) });
+  }
 }
 
-function pruneRoomIfEmpty(room) {
-  const hasHuman = Array.from(room.players.keys()).some((id) => id !== BINGO_BOT_USER_ID);
-  if (hasHuman) return;
-  clearTurnTimer(room);
-  try {
-    for (const sub of room.subscribers) sub.res.end();
-  } catch {
-    // ignore
-  }
-  rooms.delete(room.code);
+const matchmaker = createMatchmaker({
+  groupSize: (game) => roomEngine.definition(game).quickMatch.players,
+  waitMs: QUICK_MATCH_WAIT_MS,
+  onMatch: startQuickMatch,
+  onUpdate: (userId, status) => sendQuickMatchEvent(userId, "queue", status),
+});
+
+function resultStatus(result) {
+  return result.ok ? 200 : result.status || 400;
 }
 
-function pruneCrocRoomIfEmpty(room) {
-  if (room.players.size > 0) return;
-  try {
-    for (const sub of room.subscribers) sub.res.end();
-  } catch {
-    // ignore
-  }
-  crocRooms.delete(room.code);
+function resultBody(result) {
+  return result.ok ? result : { ok: false, error: result.error };
 }
 
-function pruneMemoryRoomIfEmpty(room) {
-  if (room.players.size > 0) return;
-  if (room.resolveTimer) {
-    clearTimeout(room.resolveTimer);
-    room.resolveTimer = null;
-  }
-  try {
-    for (const sub of room.subscribers) sub.res.end();
-  } catch {
-    // ignore
-  }
-  memoryRooms.delete(room.code);
+function sendResult(res, result) {
+  if (result.retryAfterMs) res.setHeader("Retry-After", String(Math.ceil(result.retryAfterMs / 1000)));
+  sendJson(res, resultStatus(result), resultBody(result));
 }
 
-function pruneGomokuRoomIfEmpty(room) {
-  if (room.players.size > 0) return;
+// Origin (or, failing that, Referer) must name this host when the browser sends one. Browsers attach cookies to
+// cross-site WebSocket handshakes and form posts, so both upgrades and state-changing API calls check it.
+function isSameOriginRequest(req) {
+  const source = req.headers.origin || req.headers.referer;
+  if (!source) return true;
   try {
-    for (const sub of room.subscribers) sub.res.end();
+    return new URL(source).host === req.headers.host;
   } catch {
-    // ignore
+    return false;
   }
-  gomokuRooms.delete(room.code);
 }
 
-function crocSetTurnByCursor(room) {
-  if (room.turnOrder.length === 0) {
-    room.turnUserId = null;
-    return;
-  }
-  room.turnCursor = ((room.turnCursor % room.turnOrder.length) + room.turnOrder.length) % room.turnOrder.length;
-  room.turnUserId = room.turnOrder[room.turnCursor];
+// Double-submit token: an HttpOnly cookie handed out by `GET /api/me`, echoed back by our pages in
+// `X-CSRF-Token` on every request that is not a GET. Another site can make the browser send the cookie
+// but cannot read `/api/me` to learn the value.
+const CSRF_COOKIE = "csrf";
+const CSRF_HEADER = "x-csrf-token";
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function readCsrfCookie(req) {
+  const token = parseCookies(req)[CSRF_COOKIE];
+  return token && /^[A-Za-z0-9_-]{24,64}$/.test(token) ? token : null;
 }
 
-function memorySetTurnByCursor(room) {
-  if (room.turnOrder.length === 0) {
-    room.turnUserId = null;
-    return;
-  }
-  room.turnCursor = ((room.turnCursor % room.turnOrder.length) + room.turnOrder.length) % room.turnOrder.length;
-  room.turnUserId = room.turnOrder[room.turnCursor];
+function ensureCsrfToken(req, res) {
+  const existing = readCsrfCookie(req);
+  if (existing) return existing;
+  const token = base64UrlEncode(crypto.randomBytes(24));
+  res.setHeader(
+    "Set-Cookie",
+    `${CSRF_COOKIE}=${token}; HttpOnly; Path=/; SameSite=Lax${COOKIE_SECURE ? "; Secure" : ""}`
+  );
+  return token;
 }
 
-function gomokuSetTurnByCursor(room) {
-  if (room.turnOrder.length === 0) {
-    room.turnUserId = null;
+function checkCsrf(req) {
+  if (CSRF_SAFE_METHODS.has(req.method)) return null;
+  if (!isSameOriginRequest(req)) return { ok: false, status: 403, error: "bad_origin" };
+  const expected = readCsrfCookie(req);
+  const given = Buffer.from(String(req.headers[CSRF_HEADER] || ""));
+  if (!expected || given.length !== expected.length || !crypto.timingSafeEqual(given, Buffer.from(expected))) {
+    return { ok: false, status: 403, error: "csrf_failed" };
+  }
+  return null;
+}
+
+/**
+ * `/ws/<game>/<CODE>`: one socket carries both the room's state stream and its commands.
+ * Client -> server: `{ id, command, body }` with the same commands as `POST <apiPath>/<CODE>/<command>`.
+ * Server -> client: `{ type: "event", id, event, data }` and `{ type: "result", id, status, data }`.
+ * `?lastEventId=N` resumes the stream like SSE's `Last-Event-ID`.
+ */
+function handleRoomSocket(req, socket, head) {
+  const u = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  const parts = u.pathname.split("/");
+  if (parts.length !== 4 || parts[1] !== "ws") {
+    rejectUpgrade(socket, 404, "not_found");
     return;
   }
-  room.turnCursor = ((room.turnCursor % room.turnOrder.length) + room.turnOrder.length) % room.turnOrder.length;
-  room.turnUserId = room.turnOrder[room.turnCursor];
-}
-
-function gomokuHasFive(board, boardSize, index, stone) {
-  const row = Math.floor(index / boardSize);
-  const col = index % boardSize;
-  const directions = [
-    [1, 0],
-    [0, 1],
-    [1, 1],
-    [1, -1],
-  ];
-  for (const [dr, dc] of directions) {
-    let count = 1;
-    for (let dir = -1; dir <= 1; dir += 2) {
-      let r = row + dr * dir;
-      let c = col + dc * dir;
-      while (r >= 0 && r < boardSize && c >= 0 && c < boardSize) {
-        const i = r * boardSize + c;
-        if (board[i] !== stone) break;
-        count += 1;
-        r += dr * dir;
-        c += dc * dir;
-      }
-    }
-    if (count >= 5) return true;
+  if (!isSameOriginRequest(req)) {
+    rejectUpgrade(socket, 403, "forbidden_origin");
+    return;
   }
-  return false;
-}
-
-function buildMemoryDeck(cardCount) {
-  const pairCount = Math.floor(cardCount / 2);
-  const picked = cryptoShuffleItems(MEMORY_COUNTRIES).slice(0, pairCount);
-  const cards = [];
-  let uid = 0;
-  for (const c of picked) {
-    cards.push({
-      uid: uid++,
-      countryKey: c.key,
-      flag: c.flag,
-      nameKo: c.nameKo,
-      matched: false,
-    });
-    cards.push({
-      uid: uid++,
-      countryKey: c.key,
-      flag: c.flag,
-      nameKo: c.nameKo,
-      matched: false,
-    });
+  const session = getSession(req);
+  if (!session) {
+    rejectUpgrade(socket, 401, "unauthorized");
+    return;
   }
-  return cryptoShuffleItems(cards);
-}
-
-function memoryFinalizeIfDone(room) {
-  if (room.matchedCount < room.cardCount / 2) return false;
-  room.status = "ended";
-  room.turnUserId = null;
-  room.revealedIndices = [];
-  room.resolving = false;
-  if (room.resolveTimer) {
-    clearTimeout(room.resolveTimer);
-    room.resolveTimer = null;
+  const room = roomEngine.getRoom(parts[2], parts[3].toUpperCase());
+  if (!room) {
+    rejectUpgrade(socket, 404, "room_not_found");
+    return;
   }
-  let maxScore = -1;
-  for (const p of room.players.values()) {
-    maxScore = Math.max(maxScore, Number(p.score || 0));
+  const allowed = roomEngine.canSubscribe(room, session);
+  if (!allowed.ok) {
+    rejectUpgrade(socket, resultStatus(allowed), allowed.error);
+    return;
   }
-  room.winners = Array.from(room.players.values())
-    .filter((p) => Number(p.score || 0) === maxScore)
-    .map((p) => ({ userId: p.userId, username: p.username, score: Number(p.score || 0) }));
-  return true;
-}
-
-function memoryResolveMismatchLater(room) {
-  if (room.resolveTimer) clearTimeout(room.resolveTimer);
-  room.resolving = true;
-  room.resolveTimer = setTimeout(() => {
-    room.resolveTimer = null;
-    if (room.status !== "playing") return;
-    for (const i of room.revealedIndices) {
-      if (room.cards[i] && !room.cards[i].matched) {
-        // hidden again in public state by clearing revealed indices
+
+  let unsubscribe = null;
+  let gone = false;
+  const ws = acceptWebSocket(req, socket, head, {
+    onMessage(text, conn) {
+      const msg = safeJsonParse(text).value;
+      const id = msg && msg.id != null ? msg.id : null;
+      if (!msg || typeof msg.command !== "string") {
+        conn.send(JSON.stringify({ type: "result", id, status: 400, data: { ok: false, error: "invalid_message" } }));
+        return;
       }
-    }
-    room.revealedIndices = [];
-    room.resolving = false;
-    if (room.turnOrder.length > 0) {
-      room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
-      memorySetTurnByCursor(room);
-    } else {
-      room.turnUserId = null;
-    }
-    broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-  }, 1100);
+      const body = msg.body && typeof msg.body === "object" ? msg.body : {};
+      let result = null;
+      try {
+        result = takeCommandLimits(session, msg.command) || runRoomCommand(room, msg.command, session, body);
+      } catch (err) {
+        // A bug in one command must not take every other room down with it.
+        // eslint-disable-next-line no-console
+        console.error(`room command ${msg.command} failed`, err);
+        result = { ok: false, status: 500, error: "server_error" };
+      }
+      conn.send(JSON.stringify({ type: "result", id, status: resultStatus(result), data: resultBody(result) }));
+    },
+    onClose() {
+      gone = true;
+      if (unsubscribe) unsubscribe();
+    },
+  });
+  if (!ws || gone) return;
+
+  unsubscribe = roomEngine.subscribe(
+    room,
+    {
+      userId: session.userId,
+      session,
+      send: (event, data, id) => ws.send(JSON.stringify({ type: "event", id, event, data })),
+      close: () => ws.close(1001),
+    },
+    { lastEventId: parseLastEventId(req, u.searchParams) }
+  );
 }
 
 function requireAuthPage(req, res) {
@@ -733,202 +1136,53 @@ function requireAuthApi(req, res) {
   return session;
 }
 
-function clampBingoSize(size) {
-  const n = Number(size);
-  if (!Number.isInteger(n)) return null;
-  if (n < 5 || n > 10) return null;
-  return n;
-}
-
-function clampTurnSeconds(seconds) {
-  const n = Number(seconds);
-  const allowed = new Set([3, 5, 7, 10, 15, 20]);
-  if (!Number.isInteger(n)) return null;
-  if (!allowed.has(n)) return null;
-  return n;
-}
-
-function clampMemoryCardCount(cardCount) {
-  const n = Number(cardCount);
-  if (!Number.isInteger(n)) return null;
-  if (!MEMORY_CARD_COUNTS.has(n)) return null;
-  return n;
-}
-
-function clearTurnTimer(room) {
-  if (room.turnTimer) {
-    clearTimeout(room.turnTimer);
-    room.turnTimer = null;
-  }
-}
-
-function buildTurnOrder(room) {
-  // Keep insertion order (join order) from Map.
-  return Array.from(room.players.keys());
-}
-
-function countHumanPlayers(room) {
-  let count = 0;
-  for (const id of room.players.keys()) {
-    if (id !== BINGO_BOT_USER_ID) count++;
-  }
-  return count;
-}
-
-function removeBingoBotIfPresent(room) {
-  if (!room.players.has(BINGO_BOT_USER_ID)) return false;
-  room.players.delete(BINGO_BOT_USER_ID);
-  room.connections.delete(BINGO_BOT_USER_ID);
-  room.turnOrder = room.turnOrder.filter((id) => id !== BINGO_BOT_USER_ID);
-  if (room.turnUserId === BINGO_BOT_USER_ID) {
-    room.turnUserId = null;
-    room.turnEndsAt = null;
-  }
-  return true;
-}
-
-function ensureBingoBot(room) {
-  if (!room.botEnabled) return false;
-  if (room.players.has(BINGO_BOT_USER_ID)) return false;
-  room.players.set(BINGO_BOT_USER_ID, {
-    userId: BINGO_BOT_USER_ID,
-    username: BINGO_BOT_USERNAME,
-    board: generateBoard(room.size),
-    joinedAt: nowIso(),
-    online: true,
-    isBot: true,
-  });
-  return true;
-}
-
-function syncBingoBotForHumans(room) {
-  if (!room.botEnabled) {
-    removeBingoBotIfPresent(room);
-    return;
-  }
-  const humanCount = countHumanPlayers(room);
-  if (humanCount <= 1) ensureBingoBot(room);
-  else removeBingoBotIfPresent(room);
-}
-
-function pickRandomRemainingNumber(room) {
-  const max = room.size * room.size;
-  const remaining = [];
-  for (let n = 1; n <= max; n++) {
-    if (!room.calledNumbers.has(n)) remaining.push(n);
-  }
-  if (remaining.length === 0) return null;
-  return remaining[crypto.randomInt(0, remaining.length)];
-}
-
-function evaluateWinners(room) {
-  const winners = [];
-  for (const p of room.players.values()) {
-    const lines = countCompleteLines(p.board, room.calledNumbers);
-    if (lines >= room.targetLines) winners.push({ userId: p.userId, username: p.username, lines });
-  }
-  return winners;
-}
-
-function setTurnByCursor(room) {
-  if (room.turnOrder.length === 0) {
-    room.turnUserId = null;
-    room.turnEndsAt = null;
-    return;
-  }
-  room.turnCursor = ((room.turnCursor % room.turnOrder.length) + room.turnOrder.length) % room.turnOrder.length;
-  room.turnUserId = room.turnOrder[room.turnCursor];
-}
-
-function scheduleTurn(room) {
-  clearTurnTimer(room);
-  if (room.status !== "playing") return;
-  if (!room.turnUserId) return;
-  const isBotTurn = room.turnUserId === BINGO_BOT_USER_ID;
-  // Human players must pick manually on their own turn.
-  if (!isBotTurn) {
-    room.turnEndsAt = null;
-    return;
+function requireAdminPage(req, res) {
+  const session = requireAuthPage(req, res);
+  if (!session) return null;
+  if (!isAdminSession(session)) {
+    redirect(res, "/lobby");
+    return null;
   }
-  const turnMs = 1200;
-  room.turnEndsAt = Date.now() + turnMs;
-  room.turnTimer = setTimeout(() => {
-    if (room.status !== "playing") return;
-    if (!room.turnUserId) return;
-    const actorUserId = room.turnUserId;
-    const selectedNumber = pickRandomRemainingNumber(room);
-    if (selectedNumber == null) return;
-    drawNextNumber(room, {
-      actorUserId,
-      reason: "bot_pick",
-      selectedNumber,
-    });
-  }, turnMs);
+  return session;
 }
 
-function drawNextNumber(room, { actorUserId, reason, selectedNumber }) {
-  if (room.status !== "playing") return { ok: false, error: "not_playing", number: null };
-
-  const max = room.size * room.size;
-  const remaining = [];
-  for (let n = 1; n <= max; n++) if (!room.calledNumbers.has(n)) remaining.push(n);
-
-  if (remaining.length === 0) {
-    room.status = "ended";
-    room.winners = [];
-    room.turnUserId = null;
-    room.turnEndsAt = null;
-    clearTurnTimer(room);
-    broadcastRoom(room, "state", roomPublicState(room));
-    return { ok: true, number: null };
-  }
-
-  const number = Number(selectedNumber);
-  if (!Number.isInteger(number) || number < 1 || number > max) {
-    return { ok: false, error: "invalid_number", number: null };
-  }
-  if (room.calledNumbers.has(number)) {
-    return { ok: false, error: "number_already_called", number: null };
-  }
-  room.calledNumbers.add(number);
-  room.lastNumber = number;
-  room.lastDrawByUserId = actorUserId ?? null;
-  {
-    const p = actorUserId ? room.players.get(actorUserId) : null;
-    room.lastDrawByUsername = p ? p.username : null;
-  }
-  room.lastDrawReason = reason;
-
-  const winners = evaluateWinners(room);
-  if (winners.length > 0) {
-    room.status = "ended";
-    room.winners = winners;
-    room.turnUserId = null;
-    room.turnEndsAt = null;
-    clearTurnTimer(room);
-    broadcastRoom(room, "state", roomPublicState(room));
-    return { ok: true, number };
-  }
-
-  // Advance to next player for the next turn.
-  if (room.turnOrder.length > 0) {
-    room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
-    setTurnByCursor(room);
-    scheduleTurn(room);
-  } else {
-    room.turnUserId = null;
-    room.turnEndsAt = null;
-    clearTurnTimer(room);
+function requireAdminApi(req, res) {
+  const session = requireAuthApi(req, res);
+  if (!session) return null;
+  if (!isAdminSession(session)) {
+    sendJson(res, 403, { ok: false, error: "admin_only" });
+    return null;
   }
-
-  broadcastRoom(room, "state", roomPublicState(room));
-  return { ok: true, number };
+  return session;
 }
 
 async function main() {
   await loadUsers();
+  await grantConfiguredAdmins();
+  await usernamePolicy.load();
+  setInterval(() => {
+    usernamePolicy.load().catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error("username blocklist reload failed", err);
+    });
+  }, 60 * 1000).unref();
+  await sessions.load();
+  sessions.sweep((s) => isSessionExpired(s));
+  setInterval(() => sessions.sweep((s) => isSessionExpired(s)), SESSION_SWEEP_MS).unref();
+  setInterval(() => {
+    for (const limiter of Object.values(rateLimiters)) limiter.sweep();
+  }, 60 * 1000).unref();
+  await matchStore.load();
+  const restoredRooms = await loadRooms();
+  setInterval(() => {
+    if (!roomsDirty) return;
+    queueRoomsWrite().catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error("room snapshot failed", err);
+    });
+  }, ROOM_SNAPSHOT_MS).unref();
 
-  const server = http.createServer(async (req, res) => {
+  const handleRequest = async (req, res) => {
     // Small hardening: prevent basic MIME sniffing and framing.
     res.setHeader("X-Content-Type-Options", "nosniff");
     res.setHeader("X-Frame-Options", "DENY");
@@ -965,7 +1219,21 @@ async function main() {
       return;
     }
     if (req.method === "GET" && pathname === "/signup") {
-      redirect(res, "/login");
+      if (getSession(req)) {
+        redirect(res, "/lobby");
+        return;
+      }
+      await sendFile(res, path.join(VIEWS_DIR, "signup.html"));
+      return;
+    }
+    if (req.method === "GET" && pathname === "/account") {
+      if (!requireAuthPage(req, res)) return;
+      await sendFile(res, path.join(VIEWS_DIR, "account.html"));
+      return;
+    }
+    if (req.method === "GET" && pathname === "/admin") {
+      if (!requireAdminPage(req, res)) return;
+      await sendFile(res, path.join(VIEWS_DIR, "admin.html"));
       return;
     }
     if (req.method === "GET" && pathname === "/lobby") {
@@ -984,7 +1252,8 @@ async function main() {
       return;
     }
     if (req.method === "GET" && pathname === "/croc") {
-      redirect(res, "/lobby");
+      if (!requireAuthPage(req, res)) return;
+      await sendFile(res, path.join(VIEWS_DIR, "croc.html"));
       return;
     }
     if (req.method === "GET" && pathname === "/memory") {
@@ -1008,454 +1277,170 @@ async function main() {
     }
 
     // SSE
-    if (req.method === "GET" && pathname.startsWith("/sse/room/")) {
+    if (req.method === "GET" && pathname === "/sse/lobby") {
       const session = requireAuthApi(req, res);
       if (!session) return;
-      const code = pathname.slice("/sse/room/".length).toUpperCase();
-      const room = rooms.get(code);
-      if (!room) {
-        sendJson(res, 404, { ok: false, error: "room_not_found" });
-        return;
-      }
-      const player = room.players.get(session.userId);
-      if (!player) {
-        sendJson(res, 403, { ok: false, error: "not_in_room" });
+      const parsed = parseRoomBrowserFilters(u.searchParams);
+      if (!parsed.ok) {
+        sendJson(res, 400, { ok: false, error: parsed.error });
         return;
       }
 
-      res.writeHead(200, {
-        "Content-Type": "text/event-stream; charset=utf-8",
-        "Cache-Control": "no-cache, no-transform",
-        Connection: "keep-alive",
-      });
-      res.write(`: connected ${nowIso()}\n\n`);
+      startSse(req, res);
+      const sub = { res, filters: parsed.filters };
+      lobbySubscribers.add(sub);
+      sseWrite(res, "rooms", { rooms: listBrowsableRooms(sub.filters) });
+      req.on("close", () => lobbySubscribers.delete(sub));
+      return;
+    }
 
-      const sub = { res, userId: session.userId };
-      room.subscribers.add(sub);
-      room.connections.set(session.userId, (room.connections.get(session.userId) || 0) + 1);
-      player.online = true;
-
-      // Initial state for this client
-      sseWrite(res, "state", roomPublicState(room));
-
-      // Announce presence change
-      broadcastRoom(room, "state", roomPublicState(room));
-
-      const heartbeat = setInterval(() => {
-        try {
-          res.write(`: heartbeat ${nowIso()}\n\n`);
-        } catch {
-          // ignore
-        }
-      }, 25000);
+    if (req.method === "GET" && pathname === "/sse/quick-match") {
+      const session = requireAuthApi(req, res);
+      if (!session) return;
 
+      startSse(req, res);
+      if (!quickMatchStreams.has(session.userId)) quickMatchStreams.set(session.userId, new Set());
+      quickMatchStreams.get(session.userId).add(res);
+      sseWrite(res, "queue", matchmaker.status(session.userId));
       req.on("close", () => {
-        clearInterval(heartbeat);
-        room.subscribers.delete(sub);
-        const prev = room.connections.get(session.userId) || 0;
-        const next = Math.max(0, prev - 1);
-        if (next === 0) room.connections.delete(session.userId);
-        else room.connections.set(session.userId, next);
-
-        // If no more active connections for that user, mark offline.
-        if (!room.connections.has(session.userId)) {
-          const p = room.players.get(session.userId);
-          if (p) p.online = false;
-          broadcastRoom(room, "state", roomPublicState(room));
-        }
+        const streams = quickMatchStreams.get(session.userId);
+        streams.delete(res);
+        if (streams.size > 0) return;
+        quickMatchStreams.delete(session.userId);
+        matchmaker.cancel(session.userId);
       });
       return;
     }
 
-    if (req.method === "GET" && pathname.startsWith("/sse/croc/")) {
+    const streamDef =
+      req.method === "GET" ? roomEngine.definitions().find((def) => pathname.startsWith(def.ssePath)) : null;
+    if (streamDef) {
       const session = requireAuthApi(req, res);
       if (!session) return;
-      const code = pathname.slice("/sse/croc/".length).toUpperCase();
-      const room = crocRooms.get(code);
+      const code = pathname.slice(streamDef.ssePath.length).toUpperCase();
+      const room = roomEngine.getRoom(streamDef.game, code);
       if (!room) {
         sendJson(res, 404, { ok: false, error: "room_not_found" });
         return;
       }
-      const player = room.players.get(session.userId);
-      if (!player) {
-        sendJson(res, 403, { ok: false, error: "not_in_room" });
+      const allowed = roomEngine.canSubscribe(room, session);
+      if (!allowed.ok) {
+        sendResult(res, allowed);
         return;
       }
 
-      res.writeHead(200, {
-        "Content-Type": "text/event-stream; charset=utf-8",
-        "Cache-Control": "no-cache, no-transform",
-        Connection: "keep-alive",
-      });
-      res.write(`: connected ${nowIso()}\n\n`);
-
-      const sub = { res, userId: session.userId };
-      room.subscribers.add(sub);
-      room.connections.set(session.userId, (room.connections.get(session.userId) || 0) + 1);
-      player.online = true;
-
-      sseWrite(res, "state", crocRoomPublicState(room));
-      broadcastCrocRoom(room, "state", crocRoomPublicState(room));
-
-      const heartbeat = setInterval(() => {
-        try {
-          res.write(`: heartbeat ${nowIso()}\n\n`);
-        } catch {
-          // ignore
-        }
-      }, 25000);
-
-      req.on("close", () => {
-        clearInterval(heartbeat);
-        room.subscribers.delete(sub);
-        const prev = room.connections.get(session.userId) || 0;
-        const next = Math.max(0, prev - 1);
-        if (next === 0) room.connections.delete(session.userId);
-        else room.connections.set(session.userId, next);
-
-        if (!room.connections.has(session.userId)) {
-          const p = room.players.get(session.userId);
-          if (p) p.online = false;
-          broadcastCrocRoom(room, "state", crocRoomPublicState(room));
-        }
-      });
-      return;
-    }
-
-    if (req.method === "GET" && pathname.startsWith("/sse/memory/")) {
-      const session = requireAuthApi(req, res);
-      if (!session) return;
-      const code = pathname.slice("/sse/memory/".length).toUpperCase();
-      const room = memoryRooms.get(code);
-      if (!room) {
-        sendJson(res, 404, { ok: false, error: "room_not_found" });
-        return;
-      }
-      const player = room.players.get(session.userId);
-      if (!player) {
-        sendJson(res, 403, { ok: false, error: "not_in_room" });
-        return;
-      }
-
-      res.writeHead(200, {
-        "Content-Type": "text/event-stream; charset=utf-8",
-        "Cache-Control": "no-cache, no-transform",
-        Connection: "keep-alive",
-      });
-      res.write(`: connected ${nowIso()}\n\n`);
-
-      const sub = { res, userId: session.userId };
-      room.subscribers.add(sub);
-      room.connections.set(session.userId, (room.connections.get(session.userId) || 0) + 1);
-      player.online = true;
-
-      sseWrite(res, "state", memoryRoomPublicState(room));
-      broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-
-      const heartbeat = setInterval(() => {
-        try {
-          res.write(`: heartbeat ${nowIso()}\n\n`);
-        } catch {
-          // ignore
-        }
-      }, 25000);
-
-      req.on("close", () => {
-        clearInterval(heartbeat);
-        room.subscribers.delete(sub);
-        const prev = room.connections.get(session.userId) || 0;
-        const next = Math.max(0, prev - 1);
-        if (next === 0) room.connections.delete(session.userId);
-        else room.connections.set(session.userId, next);
-
-        if (!room.connections.has(session.userId)) {
-          const p = room.players.get(session.userId);
-          if (p) p.online = false;
-          broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-        }
-      });
+      startSse(req, res);
+      const unsubscribe = roomEngine.subscribe(
+        room,
+        {
+          userId: session.userId,
+          session,
+          send: (event, data, id) => sseWrite(res, event, data, id),
+          close: () => res.end(),
+        },
+        { lastEventId: parseLastEventId(req, u.searchParams) }
+      );
+      req.on("close", unsubscribe);
       return;
     }
 
-    if (req.method === "GET" && pathname.startsWith("/sse/gomoku/")) {
-      const session = requireAuthApi(req, res);
-      if (!session) return;
-      const code = pathname.slice("/sse/gomoku/".length).toUpperCase();
-      const room = gomokuRooms.get(code);
-      if (!room) {
-        sendJson(res, 404, { ok: false, error: "room_not_found" });
+    // API
+    if (pathname.startsWith("/api/")) {
+      const ip = clientIp(req);
+      const limited = takeRateLimits(
+        req.method === "POST" && AUTH_PATHS.has(pathname)
+          ? [
+              ["api", `ip:${ip}`],
+              ["auth", `ip:${ip}`],
+            ]
+          : [["api", `ip:${ip}`]]
+      );
+      if (limited) {
+        sendResult(res, limited);
         return;
       }
-      const player = room.players.get(session.userId);
-      if (!player) {
-        sendJson(res, 403, { ok: false, error: "not_in_room" });
+      const forged = checkCsrf(req);
+      if (forged) {
+        sendResult(res, forged);
         return;
       }
 
-      res.writeHead(200, {
-        "Content-Type": "text/event-stream; charset=utf-8",
-        "Cache-Control": "no-cache, no-transform",
-        Connection: "keep-alive",
-      });
-      res.write(`: connected ${nowIso()}\n\n`);
-
-      const sub = { res, userId: session.userId };
-      room.subscribers.add(sub);
-      room.connections.set(session.userId, (room.connections.get(session.userId) || 0) + 1);
-      player.online = true;
-
-      sseWrite(res, "state", gomokuRoomPublicState(room));
-      broadcastGomokuRoom(room, "state", gomokuRoomPublicState(room));
-
-      const heartbeat = setInterval(() => {
-        try {
-          res.write(`: heartbeat ${nowIso()}\n\n`);
-        } catch {
-          // ignore
-        }
-      }, 25000);
-
-      req.on("close", () => {
-        clearInterval(heartbeat);
-        room.subscribers.delete(sub);
-        const prev = room.connections.get(session.userId) || 0;
-        const next = Math.max(0, prev - 1);
-        if (next === 0) room.connections.delete(session.userId);
-        else room.connections.set(session.userId, next);
-
-        if (!room.connections.has(session.userId)) {
-          const p = room.players.get(session.userId);
-          if (p) p.online = false;
-          broadcastGomokuRoom(room, "state", gomokuRoomPublicState(room));
-        }
-      });
-      return;
-    }
-
-    // API
-    if (pathname.startsWith("/api/")) {
       if (req.method === "GET" && pathname === "/api/me") {
+        const csrfToken = ensureCsrfToken(req, res);
         const session = getSession(req);
         if (!session) {
-          sendJson(res, 200, { ok: true, user: null });
-          return;
-        }
-        sendJson(res, 200, { ok: true, user: { userId: session.userId, username: session.username } });
-        return;
-      }
-
-      if ((req.method === "GET" || req.method === "HEAD") && pathname === "/api/health") {
-        sendJson(res, 200, { ok: true });
-        return;
-      }
-
-      if (req.method === "POST" && pathname === "/api/signup") {
-        sendJson(res, 410, { ok: false, error: "signup_disabled" });
+          sendJson(res, 200, { ok: true, user: null, csrfToken });
+          return;
+        }
+        const user = session.isGuest ? null : userDb.users.find((x) => x.id === session.userId);
+        const me = user
+          ? publicUser(user)
+          : {
+              userId: session.userId,
+              username: session.username,
+              avatar: null,
+              isGuest: Boolean(session.isGuest),
+              isAdmin: false,
+            };
+        sendJson(res, 200, { ok: true, user: me, csrfToken });
         return;
       }
 
-      if (req.method === "POST" && pathname === "/api/login") {
-        const body = await readJsonBody(req);
-        if (!body.ok) {
-          sendJson(res, 400, { ok: false, error: body.error });
-          return;
-        }
-        const username = normalizeUsername(body.value.username);
-        if (username.length < 2 || username.length > 20) {
-          sendJson(res, 400, { ok: false, error: "username_length" });
-          return;
-        }
-        let user = userDb.users.find((u) => u.username.toLowerCase() === username.toLowerCase());
-        let created = false;
-        if (!user) {
-          user = {
-            id: userDb.nextId++,
-            username,
-            passwordHash: null,
-            createdAt: nowIso(),
-          };
-          userDb.users.push(user);
-          created = true;
-          await queueUserDbWrite();
-        }
-        setSession(res, { userId: user.id, username: user.username });
-        sendJson(res, 200, { ok: true, created });
-        return;
-      }
-
-      if (req.method === "POST" && pathname === "/api/logout") {
-        clearSession(req, res);
-        sendJson(res, 200, { ok: true });
-        return;
-      }
-
-      if (req.method === "POST" && pathname === "/api/croc/rooms") {
+      if (req.method === "PATCH" && pathname === "/api/me") {
         const session = requireAuthApi(req, res);
         if (!session) return;
-
-        let code = pickRoomCode();
-        for (let i = 0; i < 10 && crocRooms.has(code); i++) code = pickRoomCode();
-        if (crocRooms.has(code)) {
-          sendJson(res, 500, { ok: false, error: "room_code_collision" });
+        if (session.isGuest) {
+          sendJson(res, 403, { ok: false, error: "guest_account" });
           return;
         }
-
-        const room = {
-          code,
-          status: "lobby",
-          hostUserId: session.userId,
-          createdAt: nowIso(),
-          players: new Map(),
-          selectedTeeth: new Set(),
-          toothCountPerJaw: 20,
-          trapTooth: null,
-          turnOrder: [],
-          turnCursor: 0,
-          turnUserId: null,
-          lastPickedTooth: null,
-          lastPickerUserId: null,
-          loserUserId: null,
-          loserUsername: null,
-          winnerUserId: null,
-          winnerUsername: null,
-          subscribers: new Set(),
-          connections: new Map(),
-        };
-        room.players.set(session.userId, {
-          userId: session.userId,
-          username: session.username,
-          joinedAt: nowIso(),
-          online: true,
-          alive: true,
-        });
-        crocRooms.set(code, room);
-        sendJson(res, 200, { ok: true, code });
-        return;
-      }
-
-      if (req.method === "POST" && pathname.startsWith("/api/croc/rooms/") && pathname.endsWith("/join")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/croc/rooms/".length, -"/join".length).toUpperCase();
-        const room = crocRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
+        const body = await readJsonBody(req);
+        if (!body.ok) {
+          sendJson(res, 400, { ok: false, error: body.error });
           return;
         }
-        if (room.status !== "lobby" && !room.players.has(session.userId)) {
-          sendJson(res, 409, { ok: false, error: "room_not_joinable" });
+        const user = userDb.users.find((x) => x.id === session.userId);
+        if (!user) {
+          sendJson(res, 404, { ok: false, error: "user_not_found" });
           return;
         }
 
-        const existing = room.players.get(session.userId);
-        if (!existing) {
-          room.players.set(session.userId, {
-            userId: session.userId,
-            username: session.username,
-            joinedAt: nowIso(),
-            online: true,
-            alive: true,
-          });
-        } else {
-          existing.online = true;
-        }
-        broadcastCrocRoom(room, "state", crocRoomPublicState(room));
-        sendJson(res, 200, { ok: true, room: crocRoomPublicState(room) });
-        return;
-      }
-
-      if (req.method === "POST" && pathname.startsWith("/api/croc/rooms/") && pathname.endsWith("/leave")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/croc/rooms/".length, -"/leave".length).toUpperCase();
-        const room = crocRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        const leavingWasTurn = room.turnUserId === session.userId;
-        room.players.delete(session.userId);
-        room.connections.delete(session.userId);
-        room.turnOrder = room.turnOrder.filter((id) => id !== session.userId);
-
-        if (room.hostUserId === session.userId) {
-          const nextHost = room.players.values().next().value;
-          room.hostUserId = nextHost ? nextHost.userId : null;
+        let username = user.username;
+        // Names from before the policy stay valid until their owner picks a new one.
+        if (body.value.username !== undefined && normalizeUsername(body.value.username) !== user.username) {
+          const checked = checkNewUsername(body.value.username, user);
+          if (!checked.ok) {
+            sendResult(res, checked);
+            return;
+          }
+          username = checked.username;
         }
-        if (room.status === "playing" && leavingWasTurn && room.turnOrder.length > 0) {
-          if (room.turnCursor >= room.turnOrder.length) room.turnCursor = 0;
-          crocSetTurnByCursor(room);
-        } else if (room.status === "playing" && room.turnOrder.length === 0) {
-          room.status = "ended";
-          room.turnUserId = null;
+        let avatar = user.avatar || null;
+        if (body.value.avatar !== undefined) {
+          avatar = body.value.avatar === null ? null : String(body.value.avatar);
+          if (avatar !== null && !AVATARS.includes(avatar)) {
+            sendJson(res, 400, { ok: false, error: "invalid_avatar" });
+            return;
+          }
         }
-        broadcastCrocRoom(room, "state", crocRoomPublicState(room));
-        pruneCrocRoomIfEmpty(room);
-        sendJson(res, 200, { ok: true });
-        return;
-      }
 
-      if (req.method === "POST" && pathname.startsWith("/api/croc/rooms/") && pathname.endsWith("/start")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/croc/rooms/".length, -"/start".length).toUpperCase();
-        const room = crocRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        if (room.hostUserId !== session.userId) {
-          sendJson(res, 403, { ok: false, error: "host_only" });
-          return;
-        }
-        if (room.players.size < 2) {
-          sendJson(res, 409, { ok: false, error: "need_two_players" });
-          return;
-        }
-        const body = await readJsonBody(req);
-        if (!body.ok) {
-          sendJson(res, 400, { ok: false, error: body.error });
-          return;
-        }
-        const toothCountPerJaw = Number(body.value.toothCountPerJaw);
-        if (!Number.isInteger(toothCountPerJaw) || toothCountPerJaw < 8 || toothCountPerJaw > 20) {
-          sendJson(res, 400, { ok: false, error: "invalid_tooth_count_per_jaw" });
-          return;
+        const renamed = username !== user.username;
+        user.username = username;
+        user.avatar = avatar;
+        await queueUserDbWrite();
+        if (renamed) {
+          for (const s of sessions.values()) if (s.userId === user.id) s.username = username;
+          sessions.touch();
+          roomEngine.renameUser(user.id, username);
         }
-        room.status = "playing";
-        room.toothCountPerJaw = toothCountPerJaw;
-        room.selectedTeeth = new Set();
-        room.trapTooth = crypto.randomInt(1, toothCountPerJaw * 2 + 1);
-        room.loserUserId = null;
-        room.loserUsername = null;
-        room.winnerUserId = null;
-        room.winnerUsername = null;
-        for (const p of room.players.values()) p.alive = true;
-        room.turnOrder = Array.from(room.players.keys());
-        room.turnCursor = 0;
-        crocSetTurnByCursor(room);
-        room.lastPickedTooth = null;
-        room.lastPickerUserId = null;
-        broadcastCrocRoom(room, "state", crocRoomPublicState(room));
-        sendJson(res, 200, { ok: true });
+        sendJson(res, 200, { ok: true, user: publicUser(user) });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/croc/rooms/") && pathname.endsWith("/pick")) {
+      if (req.method === "DELETE" && pathname === "/api/me") {
         const session = requireAuthApi(req, res);
         if (!session) return;
-        const code = pathname.slice("/api/croc/rooms/".length, -"/pick".length).toUpperCase();
-        const room = crocRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        if (room.status !== "playing") {
-          sendJson(res, 409, { ok: false, error: "not_playing" });
-          return;
-        }
-        if (room.turnUserId !== session.userId) {
-          sendJson(res, 403, { ok: false, error: "not_your_turn" });
+        if (session.isGuest) {
+          sendJson(res, 403, { ok: false, error: "guest_account" });
           return;
         }
         const body = await readJsonBody(req);
@@ -1463,487 +1448,143 @@ async function main() {
           sendJson(res, 400, { ok: false, error: body.error });
           return;
         }
-        const tooth = Number(body.value.tooth);
-        const maxTooth = room.toothCountPerJaw * 2;
-        if (!Number.isInteger(tooth) || tooth < 1 || tooth > maxTooth) {
-          sendJson(res, 400, { ok: false, error: "invalid_tooth" });
-          return;
-        }
-        if (room.selectedTeeth.has(tooth)) {
-          sendJson(res, 409, { ok: false, error: "already_selected" });
+        const user = userDb.users.find((x) => x.id === session.userId);
+        if (!user) {
+          sendJson(res, 404, { ok: false, error: "user_not_found" });
           return;
         }
-        room.selectedTeeth.add(tooth);
-        room.lastPickedTooth = tooth;
-        room.lastPickerUserId = session.userId;
-        const picker = room.players.get(session.userId);
-        if (tooth === room.trapTooth) {
-          room.status = "ended";
-          room.turnUserId = null;
-          if (picker) picker.alive = false;
-          room.loserUserId = session.userId;
-          room.loserUsername = picker ? picker.username : null;
-          const winner = Array.from(room.players.values()).find((p) => p.userId !== session.userId);
-          room.winnerUserId = winner ? winner.userId : null;
-          room.winnerUsername = winner ? winner.username : null;
-          broadcastCrocRoom(room, "state", crocRoomPublicState(room));
-          sendJson(res, 200, { ok: true, trap: true });
+        if (!verifyPassword(body.value.password, user.passwordHash)) {
+          sendJson(res, 403, { ok: false, error: "invalid_credentials" });
           return;
         }
-
-        if (room.turnOrder.length > 0) {
-          room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
-          crocSetTurnByCursor(room);
-        } else {
-          room.turnUserId = null;
-        }
-        broadcastCrocRoom(room, "state", crocRoomPublicState(room));
-        sendJson(res, 200, { ok: true, trap: false });
+        roomEngine.removeUser(user.id);
+        matchStore.anonymizeUser(user.id);
+        userDb.users = userDb.users.filter((x) => x.id !== user.id);
+        await queueUserDbWrite();
+        sessions.sweep((s) => s.userId === user.id);
+        clearSession(req, res);
+        sendJson(res, 200, { ok: true });
         return;
       }
 
-      if (req.method === "POST" && pathname === "/api/memory/rooms") {
-        const session = requireAuthApi(req, res);
+      if (pathname.startsWith("/api/admin/")) {
+        const session = requireAdminApi(req, res);
         if (!session) return;
-        const body = await readJsonBody(req);
-        if (!body.ok) {
-          sendJson(res, 400, { ok: false, error: body.error });
-          return;
-        }
-        const cardCount = clampMemoryCardCount(body.value.cardCount ?? 20);
-        if (!cardCount) {
-          sendJson(res, 400, { ok: false, error: "invalid_card_count" });
-          return;
-        }
-
-        let code = pickRoomCode();
-        for (let i = 0; i < 10 && memoryRooms.has(code); i++) code = pickRoomCode();
-        if (memoryRooms.has(code)) {
-          sendJson(res, 500, { ok: false, error: "room_code_collision" });
-          return;
-        }
-
-        const room = {
-          code,
-          status: "lobby",
-          hostUserId: session.userId,
-          createdAt: nowIso(),
-          cardCount,
-          matchedCount: 0,
-          cards: [],
-          revealedIndices: [],
-          resolving: false,
-          resolveTimer: null,
-          turnOrder: [],
-          turnCursor: 0,
-          turnUserId: null,
-          winners: [],
-          players: new Map(),
-          subscribers: new Set(),
-          connections: new Map(),
-        };
-        room.players.set(session.userId, {
-          userId: session.userId,
-          username: session.username,
-          joinedAt: nowIso(),
-          online: true,
-          score: 0,
-        });
-        memoryRooms.set(code, room);
-        sendJson(res, 200, { ok: true, code });
+        await handleAdminApi(req, res, pathname, u.searchParams, session);
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/memory/rooms/") && pathname.endsWith("/join")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/memory/rooms/".length, -"/join".length).toUpperCase();
-        const room = memoryRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        const existing = room.players.get(session.userId);
-        if (!existing) {
-          if (room.status !== "lobby") {
-            sendJson(res, 409, { ok: false, error: "room_not_joinable" });
-            return;
-          }
-          if (room.players.size >= 8) {
-            sendJson(res, 409, { ok: false, error: "room_full" });
-            return;
-          }
-          room.players.set(session.userId, {
-            userId: session.userId,
-            username: session.username,
-            joinedAt: nowIso(),
-            online: true,
-            score: 0,
-          });
-        } else {
-          existing.online = true;
-        }
-        broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-        sendJson(res, 200, { ok: true, room: memoryRoomPublicState(room) });
+      if (req.method === "GET" && pathname === "/api/avatars") {
+        sendJson(res, 200, { ok: true, avatars: AVATARS });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/memory/rooms/") && pathname.endsWith("/leave")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/memory/rooms/".length, -"/leave".length).toUpperCase();
-        const room = memoryRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-
-        const leavingWasTurn = room.turnUserId === session.userId;
-        room.players.delete(session.userId);
-        room.connections.delete(session.userId);
-        room.turnOrder = room.turnOrder.filter((id) => id !== session.userId);
-
-        if (room.hostUserId === session.userId) {
-          const nextHost = room.players.values().next().value;
-          room.hostUserId = nextHost ? nextHost.userId : null;
-        }
-
-        if (room.resolveTimer) {
-          clearTimeout(room.resolveTimer);
-          room.resolveTimer = null;
-        }
-        room.revealedIndices = [];
-        room.resolving = false;
-
-        if (room.status === "playing") {
-          if (room.turnOrder.length === 0) {
-            room.status = "ended";
-            room.turnUserId = null;
-            room.winners = [];
-          } else if (leavingWasTurn || !room.turnOrder.includes(room.turnUserId)) {
-            if (room.turnCursor >= room.turnOrder.length) room.turnCursor = 0;
-            memorySetTurnByCursor(room);
-          } else {
-            room.turnCursor = Math.max(0, room.turnOrder.indexOf(room.turnUserId));
-          }
-        }
-
-        broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-        pruneMemoryRoomIfEmpty(room);
+      if ((req.method === "GET" || req.method === "HEAD") && pathname === "/api/health") {
         sendJson(res, 200, { ok: true });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/memory/rooms/") && pathname.endsWith("/start")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/memory/rooms/".length, -"/start".length).toUpperCase();
-        const room = memoryRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        if (room.hostUserId !== session.userId) {
-          sendJson(res, 403, { ok: false, error: "host_only" });
-          return;
-        }
+      if (req.method === "POST" && pathname === "/api/signup") {
         const body = await readJsonBody(req);
         if (!body.ok) {
           sendJson(res, 400, { ok: false, error: body.error });
           return;
         }
-        const cardCount = clampMemoryCardCount(body.value.cardCount ?? room.cardCount);
-        if (!cardCount) {
-          sendJson(res, 400, { ok: false, error: "invalid_card_count" });
+        const checked = checkNewUsername(body.value.username);
+        if (!checked.ok) {
+          sendResult(res, checked);
           return;
         }
-        if (room.players.size < 1) {
-          sendJson(res, 409, { ok: false, error: "no_players" });
+        const { username } = checked;
+        if (!isValidPassword(body.value.password)) {
+          sendJson(res, 400, { ok: false, error: "password_length" });
           return;
         }
-
-        room.status = "playing";
-        room.cardCount = cardCount;
-        room.cards = buildMemoryDeck(cardCount);
-        room.matchedCount = 0;
-        room.revealedIndices = [];
-        room.resolving = false;
-        room.winners = [];
-        if (room.resolveTimer) {
-          clearTimeout(room.resolveTimer);
-          room.resolveTimer = null;
-        }
-        for (const p of room.players.values()) p.score = 0;
-        room.turnOrder = Array.from(room.players.keys());
-        room.turnCursor = 0;
-        memorySetTurnByCursor(room);
-        broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
+        const user = {
+          id: userDb.nextId++,
+          username,
+          passwordHash: hashPassword(body.value.password),
+          createdAt: nowIso(),
+        };
+        userDb.users.push(user);
+        await queueUserDbWrite();
+        setSession(res, { userId: user.id, username: user.username });
         sendJson(res, 200, { ok: true });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/memory/rooms/") && pathname.endsWith("/pick")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/memory/rooms/".length, -"/pick".length).toUpperCase();
-        const room = memoryRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        if (room.status !== "playing") {
-          sendJson(res, 409, { ok: false, error: "not_playing" });
-          return;
-        }
-        if (room.turnUserId !== session.userId) {
-          sendJson(res, 403, { ok: false, error: "not_your_turn" });
-          return;
-        }
-        if (room.resolving) {
-          sendJson(res, 409, { ok: false, error: "resolving" });
-          return;
-        }
+      if (req.method === "POST" && pathname === "/api/login") {
         const body = await readJsonBody(req);
         if (!body.ok) {
           sendJson(res, 400, { ok: false, error: body.error });
           return;
         }
-        const index = Number(body.value.index);
-        if (!Number.isInteger(index) || index < 0 || index >= room.cards.length) {
-          sendJson(res, 400, { ok: false, error: "invalid_index" });
+        const username = normalizeUsername(body.value.username);
+        if (username.length < 2 || username.length > 20) {
+          sendJson(res, 400, { ok: false, error: "username_length" });
           return;
         }
-        const card = room.cards[index];
-        if (!card || card.matched) {
-          sendJson(res, 409, { ok: false, error: "already_matched" });
+        const user = findUserByUsername(username);
+        if (!user) {
+          sendJson(res, 401, { ok: false, error: "invalid_credentials" });
           return;
         }
-        if (room.revealedIndices.includes(index)) {
-          sendJson(res, 409, { ok: false, error: "already_revealed" });
+        if (user.bannedAt) {
+          sendJson(res, 403, { ok: false, error: "account_banned" });
           return;
         }
-
-        room.revealedIndices.push(index);
-        if (room.revealedIndices.length === 1) {
-          broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-          sendJson(res, 200, { ok: true });
-          return;
-        }
-
-        const [a, b] = room.revealedIndices;
-        const cardA = room.cards[a];
-        const cardB = room.cards[b];
-        if (cardA.countryKey === cardB.countryKey) {
-          cardA.matched = true;
-          cardB.matched = true;
-          room.matchedCount += 1;
-          room.revealedIndices = [];
-          const picker = room.players.get(session.userId);
-          if (picker) picker.score = Number(picker.score || 0) + 1;
-
-          if (memoryFinalizeIfDone(room)) {
-            broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-            sendJson(res, 200, { ok: true, ended: true });
+        const password = body.value.password;
+        let claimed = false;
+        if (user.passwordHash) {
+          if (!verifyPassword(password, user.passwordHash)) {
+            sendJson(res, 401, { ok: false, error: "invalid_credentials" });
             return;
           }
-
-          broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-          sendJson(res, 200, { ok: true, matched: true });
-          return;
-        }
-
-        memoryResolveMismatchLater(room);
-        broadcastMemoryRoom(room, "state", memoryRoomPublicState(room));
-        sendJson(res, 200, { ok: true, matched: false });
-        return;
-      }
-
-      if (req.method === "POST" && pathname === "/api/gomoku/rooms") {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-
-        let code = pickRoomCode();
-        for (let i = 0; i < 10 && gomokuRooms.has(code); i++) code = pickRoomCode();
-        if (gomokuRooms.has(code)) {
-          sendJson(res, 500, { ok: false, error: "room_code_collision" });
-          return;
-        }
-
-        const room = {
-          code,
-          status: "lobby",
-          hostUserId: session.userId,
-          createdAt: nowIso(),
-          boardSize: GOMOKU_SIZE,
-          board: Array.from({ length: GOMOKU_SIZE * GOMOKU_SIZE }, () => null),
-          turnOrder: [],
-          turnCursor: 0,
-          turnUserId: null,
-          winnerUserId: null,
-          winnerUsername: null,
-          winnerStone: null,
-          draw: false,
-          lastMoveIndex: null,
-          lastMoveByUserId: null,
-          players: new Map(),
-          subscribers: new Set(),
-          connections: new Map(),
-        };
-        room.players.set(session.userId, {
-          userId: session.userId,
-          username: session.username,
-          joinedAt: nowIso(),
-          online: true,
-          stone: "B",
-        });
-        gomokuRooms.set(code, room);
-        sendJson(res, 200, { ok: true, code });
-        return;
-      }
-
-      if (req.method === "POST" && pathname.startsWith("/api/gomoku/rooms/") && pathname.endsWith("/join")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/gomoku/rooms/".length, -"/join".length).toUpperCase();
-        const room = gomokuRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-
-        const existing = room.players.get(session.userId);
-        if (!existing) {
-          if (room.status !== "lobby") {
-            sendJson(res, 409, { ok: false, error: "room_not_joinable" });
+        } else {
+          // Accounts from the username-only days: the first password used to log in becomes theirs. Not for
+          // admin names, which would hand whoever guessed first the admin role.
+          if (user.role === "admin" || isConfiguredAdminName(user.username)) {
+            sendJson(res, 401, { ok: false, error: "invalid_credentials" });
             return;
           }
-          if (room.players.size >= 2) {
-            sendJson(res, 409, { ok: false, error: "room_full" });
+          if (!isValidPassword(password)) {
+            sendJson(res, 400, { ok: false, error: "password_length" });
             return;
           }
-          const usedStones = new Set(
-            Array.from(room.players.values())
-              .map((p) => p.stone)
-              .filter(Boolean)
-          );
-          room.players.set(session.userId, {
-            userId: session.userId,
-            username: session.username,
-            joinedAt: nowIso(),
-            online: true,
-            stone: usedStones.has("B") ? "W" : "B",
-          });
-        } else {
-          existing.online = true;
-        }
-        broadcastGomokuRoom(room, "state", gomokuRoomPublicState(room));
-        sendJson(res, 200, { ok: true, room: gomokuRoomPublicState(room) });
-        return;
-      }
-
-      if (req.method === "POST" && pathname.startsWith("/api/gomoku/rooms/") && pathname.endsWith("/leave")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/gomoku/rooms/".length, -"/leave".length).toUpperCase();
-        const room = gomokuRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        const leavingWasTurn = room.turnUserId === session.userId;
-        room.players.delete(session.userId);
-        room.connections.delete(session.userId);
-        room.turnOrder = room.turnOrder.filter((id) => id !== session.userId);
-
-        if (room.hostUserId === session.userId) {
-          const nextHost = room.players.values().next().value;
-          room.hostUserId = nextHost ? nextHost.userId : null;
-        }
-
-        if (room.status === "playing") {
-          if (room.players.size < 2) {
-            const remain = room.players.values().next().value;
-            room.status = "ended";
-            room.turnUserId = null;
-            room.draw = false;
-            room.winnerUserId = remain ? remain.userId : null;
-            room.winnerUsername = remain ? remain.username : null;
-            room.winnerStone = remain ? remain.stone || null : null;
-          } else if (leavingWasTurn || !room.turnOrder.includes(room.turnUserId)) {
-            if (room.turnCursor >= room.turnOrder.length) room.turnCursor = 0;
-            gomokuSetTurnByCursor(room);
-          } else {
-            room.turnCursor = Math.max(0, room.turnOrder.indexOf(room.turnUserId));
-          }
+          user.passwordHash = hashPassword(password);
+          claimed = true;
+          await queueUserDbWrite();
         }
-
-        broadcastGomokuRoom(room, "state", gomokuRoomPublicState(room));
-        pruneGomokuRoomIfEmpty(room);
-        sendJson(res, 200, { ok: true });
+        setSession(res, { userId: user.id, username: user.username });
+        sendJson(res, 200, { ok: true, claimed });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/gomoku/rooms/") && pathname.endsWith("/start")) {
+      if (req.method === "GET" && pathname === "/api/me/matches") {
         const session = requireAuthApi(req, res);
         if (!session) return;
-        const code = pathname.slice("/api/gomoku/rooms/".length, -"/start".length).toUpperCase();
-        const room = gomokuRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        if (room.hostUserId !== session.userId) {
-          sendJson(res, 403, { ok: false, error: "host_only" });
-          return;
-        }
-        if (room.players.size !== 2) {
-          sendJson(res, 409, { ok: false, error: "need_two_players" });
-          return;
-        }
-
-        room.status = "playing";
-        room.board = Array.from({ length: room.boardSize * room.boardSize }, () => null);
-        room.turnOrder = Array.from(room.players.keys()).slice(0, 2);
-        room.turnCursor = 0;
-        gomokuSetTurnByCursor(room);
-        room.winnerUserId = null;
-        room.winnerUsername = null;
-        room.winnerStone = null;
-        room.draw = false;
-        room.lastMoveIndex = null;
-        room.lastMoveByUserId = null;
-
-        for (let i = 0; i < room.turnOrder.length; i++) {
-          const id = room.turnOrder[i];
-          const p = room.players.get(id);
-          if (p) p.stone = i === 0 ? "B" : "W";
-        }
-
-        broadcastGomokuRoom(room, "state", gomokuRoomPublicState(room));
-        sendJson(res, 200, { ok: true });
+        const parsed = parseMatchQuery(u.searchParams);
+        if (!parsed.ok) {
+          sendJson(res, 400, { ok: false, error: parsed.error });
+          return;
+        }
+        const { offset, limit } = parsed.query;
+        const { total, matches } = matchStore.listForUser(session.userId, parsed.query);
+        sendJson(res, 200, {
+          ok: true,
+          total,
+          offset,
+          limit,
+          matches: matches.map((m) => matchEntry(m, session.userId)),
+        });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/gomoku/rooms/") && pathname.endsWith("/move")) {
+      if (req.method === "POST" && pathname === "/api/me/password") {
         const session = requireAuthApi(req, res);
         if (!session) return;
-        const code = pathname.slice("/api/gomoku/rooms/".length, -"/move".length).toUpperCase();
-        const room = gomokuRooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        if (room.status !== "playing") {
-          sendJson(res, 409, { ok: false, error: "not_playing" });
-          return;
-        }
-        if (room.turnUserId !== session.userId) {
-          sendJson(res, 403, { ok: false, error: "not_your_turn" });
-          return;
-        }
-        const player = room.players.get(session.userId);
-        if (!player || !player.stone) {
-          sendJson(res, 403, { ok: false, error: "player_not_ready" });
+        if (session.isGuest) {
+          sendJson(res, 403, { ok: false, error: "guest_account" });
           return;
         }
         const body = await readJsonBody(req);
@@ -1951,283 +1592,158 @@ async function main() {
           sendJson(res, 400, { ok: false, error: body.error });
           return;
         }
-        const index = Number(body.value.index);
-        const maxIndex = room.boardSize * room.boardSize - 1;
-        if (!Number.isInteger(index) || index < 0 || index > maxIndex) {
-          sendJson(res, 400, { ok: false, error: "invalid_index" });
-          return;
-        }
-        if (room.board[index]) {
-          sendJson(res, 409, { ok: false, error: "occupied" });
+        const user = userDb.users.find((x) => x.id === session.userId);
+        if (!user) {
+          sendJson(res, 404, { ok: false, error: "user_not_found" });
           return;
         }
-
-        room.board[index] = player.stone;
-        room.lastMoveIndex = index;
-        room.lastMoveByUserId = session.userId;
-
-        if (gomokuHasFive(room.board, room.boardSize, index, player.stone)) {
-          room.status = "ended";
-          room.turnUserId = null;
-          room.draw = false;
-          room.winnerUserId = player.userId;
-          room.winnerUsername = player.username;
-          room.winnerStone = player.stone;
-          broadcastGomokuRoom(room, "state", gomokuRoomPublicState(room));
-          sendJson(res, 200, { ok: true, ended: true });
+        if (!verifyPassword(body.value.currentPassword, user.passwordHash)) {
+          sendJson(res, 403, { ok: false, error: "invalid_credentials" });
           return;
         }
-
-        const boardFull = room.board.every((v) => Boolean(v));
-        if (boardFull) {
-          room.status = "ended";
-          room.turnUserId = null;
-          room.draw = true;
-          room.winnerUserId = null;
-          room.winnerUsername = null;
-          room.winnerStone = null;
-          broadcastGomokuRoom(room, "state", gomokuRoomPublicState(room));
-          sendJson(res, 200, { ok: true, ended: true, draw: true });
+        if (!isValidPassword(body.value.newPassword)) {
+          sendJson(res, 400, { ok: false, error: "password_length" });
           return;
         }
+        user.passwordHash = hashPassword(body.value.newPassword);
+        await queueUserDbWrite();
+        // Sign out every other device that knew the old password.
+        sessions.sweep((s) => s.userId === user.id && s !== session);
+        roomEngine.disconnect((sub) => sub.userId === user.id && sub.session !== session, "session_revoked");
+        sendJson(res, 200, { ok: true });
+        return;
+      }
 
-        room.turnCursor = (room.turnCursor + 1) % room.turnOrder.length;
-        gomokuSetTurnByCursor(room);
-        broadcastGomokuRoom(room, "state", gomokuRoomPublicState(room));
+      if (req.method === "POST" && pathname === "/api/guest") {
+        setSession(res, newGuestSession());
         sendJson(res, 200, { ok: true });
         return;
       }
 
-      if (req.method === "POST" && pathname === "/api/rooms") {
+      // Turns the current guest into a registered user, keeping their seats and in-room progress.
+      if (req.method === "POST" && pathname === "/api/guest/upgrade") {
         const session = requireAuthApi(req, res);
         if (!session) return;
+        if (!session.isGuest) {
+          sendJson(res, 409, { ok: false, error: "not_guest" });
+          return;
+        }
         const body = await readJsonBody(req);
         if (!body.ok) {
           sendJson(res, 400, { ok: false, error: body.error });
           return;
         }
-        const size = clampBingoSize(body.value.size);
-        if (!size) {
-          sendJson(res, 400, { ok: false, error: "invalid_size" });
+        const checked = checkNewUsername(body.value.username);
+        if (!checked.ok) {
+          sendResult(res, checked);
           return;
         }
-        const botEnabled = body.value.vsComputer !== false;
-
-        let code = pickRoomCode();
-        for (let i = 0; i < 10 && rooms.has(code); i++) code = pickRoomCode();
-        if (rooms.has(code)) {
-          sendJson(res, 500, { ok: false, error: "room_code_collision" });
+        const { username } = checked;
+        if (!isValidPassword(body.value.password)) {
+          sendJson(res, 400, { ok: false, error: "password_length" });
           return;
         }
-
-        const room = {
-          code,
-          size,
-          targetLines: 5,
-          drawTimeoutSeconds: 10,
-          status: "lobby",
-          hostUserId: session.userId,
-          botEnabled,
+        const user = {
+          id: userDb.nextId++,
+          username,
+          passwordHash: hashPassword(body.value.password),
           createdAt: nowIso(),
-          players: new Map(),
-          calledNumbers: new Set(),
-          lastNumber: null,
-          winners: [],
-          turnOrder: [],
-          turnCursor: 0,
-          turnUserId: null,
-          turnEndsAt: null,
-          turnTimer: null,
-          lastDrawByUserId: null,
-          lastDrawByUsername: null,
-          lastDrawReason: null,
-          subscribers: new Set(),
-          connections: new Map(), // userId -> count
-        };
-
-        const hostPlayer = {
-          userId: session.userId,
-          username: session.username,
-          board: generateBoard(size),
-          joinedAt: nowIso(),
-          online: true,
         };
-        room.players.set(session.userId, hostPlayer);
-        rooms.set(code, room);
-
-        sendJson(res, 200, { ok: true, code });
+        userDb.users.push(user);
+        await queueUserDbWrite();
+
+        const guestUserId = session.userId;
+        roomEngine.rekeyUser(guestUserId, user.id, user.username);
+        matchStore.rekeyUser(guestUserId, user.id, user.username);
+        // Open sockets still hold this session object; point it at the new user before retiring it.
+        session.userId = user.id;
+        session.username = user.username;
+        delete session.isGuest;
+        sessions.sweep((s) => s === session);
+        const sid = setSession(res, { userId: user.id, username: user.username });
+        // A place in a quick-match queue, and the streams waiting on it, carry over too.
+        matchmaker.rekey(guestUserId, user.id, { sid, session: sessions.get(sid) });
+        if (quickMatchStreams.has(guestUserId)) {
+          quickMatchStreams.set(user.id, quickMatchStreams.get(guestUserId));
+          quickMatchStreams.delete(guestUserId);
+        }
+        sendJson(res, 200, { ok: true, user: publicUser(user) });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/rooms/") && pathname.endsWith("/join")) {
-        const session = requireAuthApi(req, res);
-        if (!session) return;
-        const code = pathname.slice("/api/rooms/".length, -"/join".length).toUpperCase();
-        const room = rooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        const existing = room.players.get(session.userId);
-        if (!existing) {
-          if (room.status !== "lobby") {
-            sendJson(res, 409, { ok: false, error: "room_not_joinable" });
-            return;
-          }
-          if (room.botEnabled && room.players.has(BINGO_BOT_USER_ID)) {
-            removeBingoBotIfPresent(room);
-          }
-          if (countHumanPlayers(room) >= 8) {
-            sendJson(res, 409, { ok: false, error: "room_full" });
-            return;
-          }
-          room.players.set(session.userId, {
-            userId: session.userId,
-            username: session.username,
-            board: generateBoard(room.size),
-            joinedAt: nowIso(),
-            online: true,
-          });
-        } else {
-          existing.online = true;
-        }
-
-        broadcastRoom(room, "state", roomPublicState(room));
-        const p = room.players.get(session.userId);
-        sendJson(res, 200, { ok: true, room: roomPublicState(room), board: p.board });
+      if (req.method === "POST" && pathname === "/api/logout") {
+        clearSession(req, res);
+        sendJson(res, 200, { ok: true });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/rooms/") && pathname.endsWith("/leave")) {
+      if (req.method === "GET" && pathname === "/api/rooms") {
         const session = requireAuthApi(req, res);
         if (!session) return;
-        const code = pathname.slice("/api/rooms/".length, -"/leave".length).toUpperCase();
-        const room = rooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
+        const parsed = parseRoomBrowserFilters(u.searchParams);
+        if (!parsed.ok) {
+          sendJson(res, 400, { ok: false, error: parsed.error });
           return;
         }
-        const leavingWasTurn = room.turnUserId === session.userId;
-        room.players.delete(session.userId);
-        room.connections.delete(session.userId);
-        room.turnOrder = room.turnOrder.filter((id) => id !== session.userId);
-        syncBingoBotForHumans(room);
-
-        if (room.hostUserId === session.userId) {
-          const nextHost = Array.from(room.players.values()).find((p) => !p.isBot);
-          room.hostUserId = nextHost ? nextHost.userId : null;
-        }
-
-        if (room.status === "playing") {
-          room.turnOrder = buildTurnOrder(room);
-          if (room.turnOrder.length === 0) {
-            room.status = "ended";
-            room.turnUserId = null;
-            room.turnEndsAt = null;
-            clearTurnTimer(room);
-          } else if (leavingWasTurn) {
-            if (room.turnCursor >= room.turnOrder.length) room.turnCursor = 0;
-            setTurnByCursor(room);
-            scheduleTurn(room);
-          } else if (!room.turnOrder.includes(room.turnUserId)) {
-            if (room.turnCursor >= room.turnOrder.length) room.turnCursor = 0;
-            setTurnByCursor(room);
-            scheduleTurn(room);
-          } else {
-            room.turnCursor = room.turnOrder.indexOf(room.turnUserId);
-            scheduleTurn(room);
-          }
-        }
-
-        broadcastRoom(room, "state", roomPublicState(room));
-        pruneRoomIfEmpty(room);
-        sendJson(res, 200, { ok: true });
+        sendJson(res, 200, { ok: true, rooms: listBrowsableRooms(parsed.filters) });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/rooms/") && pathname.endsWith("/start")) {
+      if (req.method === "POST" && pathname === "/api/quick-match") {
         const session = requireAuthApi(req, res);
         if (!session) return;
-        const code = pathname.slice("/api/rooms/".length, -"/start".length).toUpperCase();
-        const room = rooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        if (room.hostUserId !== session.userId) {
-          sendJson(res, 403, { ok: false, error: "host_only" });
-          return;
-        }
         const body = await readJsonBody(req);
         if (!body.ok) {
           sendJson(res, 400, { ok: false, error: body.error });
           return;
         }
-        const timeout = clampTurnSeconds(body.value.drawTimeoutSeconds);
-        if (!timeout) {
-          sendJson(res, 400, { ok: false, error: "invalid_draw_timeout_seconds" });
+        const def = roomEngine.definition(String(body.value?.game || ""));
+        if (!def || !def.quickMatch) {
+          sendJson(res, 400, { ok: false, error: "invalid_game" });
           return;
         }
-        syncBingoBotForHumans(room);
-        if (countHumanPlayers(room) < 1) {
-          sendJson(res, 409, { ok: false, error: "no_players" });
+        if (!quickMatchStreams.has(session.userId)) {
+          sendJson(res, 409, { ok: false, error: "quick_match_stream_required" });
           return;
         }
-        room.status = "playing";
-        room.drawTimeoutSeconds = timeout;
-        room.calledNumbers = new Set();
-        room.lastNumber = null;
-        room.winners = [];
-        room.lastDrawByUserId = null;
-        room.lastDrawByUsername = null;
-        room.lastDrawReason = null;
-        room.turnOrder = buildTurnOrder(room);
-        room.turnCursor = 0;
-        setTurnByCursor(room);
-        scheduleTurn(room);
-        broadcastRoom(room, "state", roomPublicState(room));
-        sendJson(res, 200, { ok: true });
+        sendJson(res, 200, { ok: true, ...matchmaker.enqueue(def.game, session, { sid: sessionIdOf(req), ip }) });
         return;
       }
 
-      if (req.method === "POST" && pathname.startsWith("/api/rooms/") && pathname.endsWith("/draw")) {
+      if (req.method === "POST" && pathname === "/api/quick-match/cancel") {
         const session = requireAuthApi(req, res);
         if (!session) return;
-        const code = pathname.slice("/api/rooms/".length, -"/draw".length).toUpperCase();
-        const room = rooms.get(code);
-        if (!room) {
-          sendJson(res, 404, { ok: false, error: "room_not_found" });
-          return;
-        }
-        if (room.status !== "playing") {
-          sendJson(res, 409, { ok: false, error: "not_playing" });
-          return;
-        }
-        if (!room.players.has(session.userId)) {
-          sendJson(res, 403, { ok: false, error: "not_in_room" });
-          return;
-        }
-        if (room.turnUserId !== session.userId) {
-          sendJson(res, 403, { ok: false, error: "not_your_turn" });
-          return;
-        }
-        const body = await readJsonBody(req);
-        if (!body.ok) {
-          sendJson(res, 400, { ok: false, error: body.error });
-          return;
-        }
-        const selectedNumber = Number(body.value.number);
-        const result = drawNextNumber(room, {
-          actorUserId: session.userId,
-          reason: "manual_pick",
-          selectedNumber,
-        });
-        if (!result.ok) {
-          sendJson(res, 409, { ok: false, error: result.error || "draw_failed" });
+        sendJson(res, 200, { ok: true, cancelled: matchmaker.cancel(session.userId) });
+        return;
+      }
+
+      if (req.method === "POST") {
+        const createDef = roomEngine.definitions().find((def) => def.apiPath === pathname);
+        const route = createDef ? null : matchRoomCommandPath(pathname);
+        if (createDef || route) {
+          const session = requireAuthApi(req, res);
+          if (!session) return;
+          const room = route ? roomEngine.getRoom(route.def.game, route.code) : null;
+          if (route && !room) {
+            sendJson(res, 404, { ok: false, error: "room_not_found" });
+            return;
+          }
+          const limited = createDef ? null : takeCommandLimits(session, route.command);
+          if (limited) {
+            sendResult(res, limited);
+            return;
+          }
+          const body = await readJsonBody(req);
+          if (!body.ok) {
+            sendJson(res, 400, { ok: false, error: body.error });
+            return;
+          }
+          const result = createDef
+            ? createRoom(createDef, session, body.value, ip)
+            : runRoomCommand(room, route.command, session, body.value);
+          sendResult(res, result);
           return;
         }
-        sendJson(res, 200, { ok: true, number: result.number });
-        return;
       }
 
       sendJson(res, 404, { ok: false, error: "api_not_found" });
@@ -2235,11 +1751,45 @@ async function main() {
     }
 
     sendJson(res, 404, { ok: false, error: "not_found" });
+  };
+
+  // One failing route or room command must not take every other room down with it.
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error(`${req.method} ${req.url} failed`, err);
+      if (!res.headersSent) sendJson(res, 500, { ok: false, error: "server_error" });
+      else res.destroy();
+    });
   });
 
+  server.on("upgrade", handleRoomSocket);
+
+  // Render stops instances with SIGTERM on every deploy; save rooms and sessions on the way out.
+  let shuttingDown = false;
+  async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    // eslint-disable-next-line no-console
+    console.log(`${signal}: saving rooms and sessions`);
+    try {
+      await Promise.all([queueRoomsWrite(), sessions.flush(), matchStore.flush()]);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error(err);
+    }
+    process.exit(0);
+  }
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+
   server.listen(PORT, HOST, () => {
     // eslint-disable-next-line no-console
     console.log(`Bingo server listening on http://localhost:${PORT} (bind ${HOST})`);
+    if (restoredRooms > 0) {
+      // eslint-disable-next-line no-console
+      console.log(`restored ${restoredRooms} room(s) from ${ROOMS_FILE}`);
+    }
   });
 }
 